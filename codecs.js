@@ -0,0 +1,225 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var CodecRegistry;
+
+(function() {
+
+/**
+ * Provides {@link module:codecs~CodecRegistry}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module codecs
+ */
+
+/**
+ * A set of named message encodings.
+ * 
+ * A codec is an object with a <code>decode(bytes)</code> method, which receives
+ * a <code>Uint8Array</code> and returns a promise for the decoded string, and
+ * optionally an <code>encode(string)</code> method, which returns a promise for
+ * a <code>Uint8Array</code> (or array of bytes).
+ * 
+ * The names of all registered codecs are advertised to the server by
+ * {@link module:sotrade-api~SoTradeConnection#emit}, and incoming messages are
+ * decoded by {@link module:sotrade-api~SoTradeConnection#unwrap} using the codec
+ * named by their <code>e</code> field.
+ * 
+ * @property {object} codecs  Encoding name -> codec.
+ * 
+ * @public
+ * @constructor module:codecs~CodecRegistry
+ */
+CodecRegistry = function() {
+	this.codecs = {};
+};
+
+/**
+ * Registers a codec, replacing any codec previously registered with that name.
+ * 
+ * @param {string} name  The encoding name, as used in the <code>e</code> field of messages.
+ * @param {object} codec  The codec.
+ * 
+ * @function module:codecs~CodecRegistry#register
+ */
+CodecRegistry.prototype.register = function(name, codec) {
+	this.codecs[name] = codec;
+	return this;
+};
+
+/**
+ * Removes a codec.
+ * 
+ * @function module:codecs~CodecRegistry#unregister
+ */
+CodecRegistry.prototype.unregister = function(name) {
+	delete this.codecs[name];
+	return this;
+};
+
+/**
+ * Returns the codec registered for a name, or <code>null</code>.
+ * 
+ * @function module:codecs~CodecRegistry#get
+ */
+CodecRegistry.prototype.get = function(name) {
+	return this.codecs.hasOwnProperty(name) ? this.codecs[name] : null;
+};
+
+/**
+ * Returns the names of all registered codecs.
+ * 
+ * @function module:codecs~CodecRegistry#names
+ */
+CodecRegistry.prototype.names = function() {
+	return Object.keys(this.codecs);
+};
+
+/**
+ * Creates a codec from an LZMA provider with the
+ * <a href="https://github.com/nmrugg/LZMA-JS">LZMA-JS</a>-like promise interface
+ * used for {@link module:sotrade-api~SoTradeConnection#lzma}.
+ * 
+ * @param {object} lzma  An object with a <code>decompress</code> and, optionally,
+ *             a <code>compress</code> method.
+ * 
+ * @function module:codecs~CodecRegistry.lzmaCodec
+ */
+CodecRegistry.lzmaCodec = function(lzma) {
+	var codec = {
+		decode: function(bytes) {
+			return lzma.decompress(bytes);
+		}
+	};
+	
+	if (lzma.compress) {
+		codec.encode = function(s) {
+			return lzma.compress(s);
+		};
+	}
+	
+	return codec;
+};
+
+/* turns a node-style zlib function into one returning a promise */
+var zlibCall = function(fn, input, toString) {
+	return new Promise(function(resolve, reject) {
+		fn(input, function(err, result) {
+			if (err)
+				return reject(err);
+			
+			resolve(toString ? result.toString('utf8') : new Uint8Array(result));
+		});
+	});
+};
+
+/**
+ * Creates <code>gzip</code>, <code>deflate</code> and (if supported by the
+ * Node.js version) <code>brotli</code> codecs using Node’s <code>zlib</code> module.
+ * 
+ * @param {object} [zlib]  The <code>zlib</code> module.
+ * 
+ * @returns {object} Encoding name -> codec.
+ * 
+ * @function module:codecs~CodecRegistry.zlibCodecs
+ */
+CodecRegistry.zlibCodecs = function(zlib) {
+	zlib = zlib || require('zlib');
+	
+	var makeCodec = function(decompress, compress) {
+		return {
+			decode: function(bytes) {
+				return zlibCall(decompress, Buffer.from(bytes), true);
+			},
+			
+			encode: function(s) {
+				return zlibCall(compress, Buffer.from(s, 'utf8'), false);
+			}
+		};
+	};
+	
+	var codecs = {
+		gzip: makeCodec(zlib.gunzip, zlib.gzip),
+		deflate: makeCodec(zlib.inflate, zlib.deflate)
+	};
+	
+	if (zlib.brotliDecompress)
+		codecs.brotli = makeCodec(zlib.brotliDecompress, zlib.brotliCompress);
+	
+	return codecs;
+};
+
+/* pipes bytes through a CompressionStream or DecompressionStream */
+var pipeBytes = function(bytes, stream) {
+	return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(function(buf) {
+		return new Uint8Array(buf);
+	});
+};
+
+/**
+ * Creates <code>gzip</code> and <code>deflate</code> codecs using the browser’s
+ * <code>DecompressionStream</code> and <code>CompressionStream</code>.
+ * 
+ * @returns {object} Encoding name -> codec; empty if these APIs are not available.
+ * 
+ * @function module:codecs~CodecRegistry.streamCodecs
+ */
+CodecRegistry.streamCodecs = function() {
+	if (typeof DecompressionStream == 'undefined' || typeof Response == 'undefined')
+		return {};
+	
+	var makeCodec = function(format) {
+		var codec = {
+			decode: function(bytes) {
+				return pipeBytes(bytes, new DecompressionStream(format)).then(function(result) {
+					return new TextDecoder().decode(result);
+				});
+			}
+		};
+		
+		if (typeof CompressionStream != 'undefined') {
+			codec.encode = function(s) {
+				return pipeBytes(new TextEncoder().encode(s), new CompressionStream(format));
+			};
+		}
+		
+		return codec;
+	};
+	
+	return {
+		gzip: makeCodec('gzip'),
+		deflate: makeCodec('deflate')
+	};
+};
+
+/**
+ * Creates a registry with the codecs available in the current environment:
+ * those from {@link module:codecs~CodecRegistry.zlibCodecs} in Node.js,
+ * otherwise those from {@link module:codecs~CodecRegistry.streamCodecs}.
+ * 
+ * @function module:codecs~CodecRegistry.withDefaults
+ */
+CodecRegistry.withDefaults = function() {
+	var registry = new CodecRegistry();
+	var codecs;
+	
+	try {
+		codecs = CodecRegistry.zlibCodecs();
+	} catch (e) {
+		codecs = CodecRegistry.streamCodecs();
+	}
+	
+	for (var name in codecs)
+		registry.register(name, codecs[name]);
+	
+	return registry;
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.CodecRegistry = CodecRegistry;
@@ -0,0 +1,302 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var EventStream;
+
+(function() {
+
+/**
+ * Provides {@link module:event-stream~EventStream}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module event-stream
+ */
+
+/* creates a deferred object, using Promise.defer() if the implementation provides it */
+var defer = function(P) {
+	if (P.defer)
+		return P.defer();
+	
+	var deferred = {};
+	deferred.promise = new P(function(resolve, reject) {
+		deferred.resolve = resolve;
+		deferred.reject = reject;
+	});
+	
+	return deferred;
+};
+
+/**
+ * A buffered stream of events which implements the async iterator protocol,
+ * so that it can be consumed with <code>for await (var ev of stream)</code>.
+ * See {@link module:sotrade-api~SoTradeConnection#events}.
+ * 
+ * @param {function} subscribe  A function which receives a callback for passing events
+ *             into the stream and returns a function for unsubscribing again.
+ * @param {object} [opt]
+ * @param {int} [opt.bufferSize=1000]  Maximum number of events which are kept while
+ *             the consumer is busy.
+ * @param {string} [opt.overflow='drop-oldest']  What to do with an event when the buffer
+ *             is full: <code>'drop-oldest'</code> discards the oldest buffered event,
+ *             <code>'drop-newest'</code> discards the new event and <code>'error'</code>
+ *             ends the stream with an error with the code <code>'buffer-overflow'</code>.
+ * @param {function} [opt.filter]  A predicate; only events for which it returns a truthy
+ *             value are passed on.
+ * @param {object} [opt.Promise]  A Promise/A+ implementation.
+ * 
+ * @property {Array} buffer  Events which have not been consumed yet.
+ * @property {int} dropped  Number of events discarded because the buffer was full.
+ * @property {boolean} done  Whether the stream has ended.
+ * 
+ * @public
+ * @constructor module:event-stream~EventStream
+ */
+EventStream = function(subscribe, opt) {
+	opt = opt || {};
+	
+	this.bufferSize = typeof opt.bufferSize != 'undefined' ? opt.bufferSize : 1000;
+	this.overflow = opt.overflow || 'drop-oldest';
+	this.filter = opt.filter || null;
+	this.Promise = opt.Promise || Promise;
+	
+	this.buffer = [];
+	this.waiting = []; // deferreds for unresolved next() calls
+	this.dropped = 0;
+	this.done = false;
+	this.error = null;
+	
+	this.unsubscribe = null;
+	this.unsubscribe = subscribe(this.push.bind(this));
+	
+	if (this.done) // ended during subscribe()
+		this.cleanup();
+};
+
+if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+	EventStream.prototype[Symbol.asyncIterator] = function() {
+		return this;
+	};
+}
+
+/**
+ * Passes an event into the stream.
+ * 
+ * @function module:event-stream~EventStream#push
+ */
+EventStream.prototype.push = function(value) {
+	if (this.done || this.error)
+		return;
+	
+	if (this.filter && !this.filter(value))
+		return;
+	
+	if (this.waiting.length > 0)
+		return this.waiting.shift().resolve({value: value, done: false});
+	
+	if (this.buffer.length >= this.bufferSize) {
+		this.dropped++;
+		
+		if (this.overflow == 'drop-newest')
+			return;
+		
+		if (this.overflow == 'error') {
+			var err = new Error('Event stream buffer overflow (' + this.bufferSize + ' events)');
+			err.code = 'buffer-overflow';
+			return this.end(err);
+		}
+		
+		this.buffer.shift();
+	}
+	
+	this.buffer.push(value);
+};
+
+/**
+ * Ends the stream. Buffered events are still delivered; afterwards,
+ * {@link module:event-stream~EventStream#next} rejects with <code>err</code>
+ * (if given) or reports the end of the stream.
+ * 
+ * @param {Error} [err]  The error to end the stream with.
+ * 
+ * @function module:event-stream~EventStream#end
+ */
+EventStream.prototype.end = function(err) {
+	if (this.done || this.error)
+		return;
+	
+	if (err)
+		this.error = err;
+	else
+		this.done = true;
+	
+	this.cleanup();
+	
+	// there are no buffered events if next() calls are waiting
+	var waiting = this.waiting;
+	this.waiting = [];
+	
+	for (var i = 0; i < waiting.length; ++i) {
+		if (err)
+			waiting[i].reject(err);
+		else
+			waiting[i].resolve({value: undefined, done: true});
+	}
+	
+	if (err && waiting.length > 0)
+		this.done = true;
+};
+
+/**
+ * Stops receiving events.
+ * 
+ * @function module:event-stream~EventStream#cleanup
+ */
+EventStream.prototype.cleanup = function() {
+	if (this.unsubscribe) {
+		this.unsubscribe();
+		this.unsubscribe = null;
+	}
+};
+
+/**
+ * Returns a promise for the next event, as <code>{value, done}</code>.
+ * 
+ * @function module:event-stream~EventStream#next
+ */
+EventStream.prototype.next = function() {
+	if (this.buffer.length > 0)
+		return this.Promise.resolve({value: this.buffer.shift(), done: false});
+	
+	if (this.error && !this.done) {
+		this.done = true;
+		return this.Promise.reject(this.error);
+	}
+	
+	if (this.done || this.error)
+		return this.Promise.resolve({value: undefined, done: true});
+	
+	var deferred = defer(this.Promise);
+	this.waiting.push(deferred);
+	return deferred.promise;
+};
+
+/**
+ * Ends the stream and discards all buffered events.
+ * This is called automatically when a <code>for await</code> loop is left early.
+ * 
+ * @function module:event-stream~EventStream#return
+ */
+EventStream.prototype['return'] = function(value) {
+	this.buffer = [];
+	this.end();
+	this.done = true;
+	
+	return this.Promise.resolve({value: value, done: true});
+};
+
+/**
+ * Ends the stream, discarding all buffered events, and returns a rejected promise.
+ * 
+ * @function module:event-stream~EventStream#throw
+ */
+EventStream.prototype['throw'] = function(err) {
+	this['return']();
+	
+	return this.Promise.reject(err);
+};
+
+/* the property name under which observables expose themselves */
+var observableSymbol = (typeof Symbol == 'function' && Symbol.observable) || '@@observable';
+
+/**
+ * Creates an Observable (as understood by RxJS and other libraries supporting
+ * <code>Symbol.observable</code>) from a factory for event streams.
+ * Each subscription reads from its own stream, so the buffering and
+ * overflow options of that stream apply to it; events are delivered asynchronously.
+ * 
+ * @param {function} createStream  Returns a new {@link module:event-stream~EventStream}.
+ * 
+ * @returns {object} An object with a <code>subscribe(observer)</code> method, where
+ *             <code>observer</code> is either an object with optional <code>next</code>,
+ *             <code>error</code> and <code>complete</code> methods, or up to three
+ *             functions in that order. <code>subscribe</code> returns a subscription
+ *             object with an <code>unsubscribe()</code> method. If <code>observer.next</code>
+ *             throws, the subscription is closed and the exception is passed to
+ *             <code>observer.error</code>.
+ * 
+ * @function module:event-stream~EventStream.observable
+ */
+EventStream.observable = function(createStream) {
+	var observable = {
+		subscribe: function(observer) {
+			if (typeof observer == 'function' || !observer) {
+				observer = {
+					next: arguments[0],
+					error: arguments[1],
+					complete: arguments[2]
+				};
+			}
+			
+			var stream = createStream();
+			var subscription = {
+				closed: false,
+				unsubscribe: function() {
+					subscription.closed = true;
+					stream['return']();
+				}
+			};
+			
+			var pump = function() {
+				stream.next().then(function(result) {
+					if (subscription.closed)
+						return;
+					
+					if (result.done) {
+						subscription.closed = true;
+						if (observer.complete)
+							observer.complete();
+						return;
+					}
+					
+					try {
+						if (observer.next)
+							observer.next(result.value);
+					} catch (e) {
+						subscription.unsubscribe();
+						if (observer.error)
+							observer.error(e);
+						return;
+					}
+					
+					pump();
+				}, function(err) {
+					if (subscription.closed)
+						return;
+					
+					subscription.closed = true;
+					if (observer.error)
+						observer.error(err);
+				});
+			};
+			
+			pump();
+			
+			return subscription;
+		}
+	};
+	
+	observable[observableSymbol] = function() {
+		return observable;
+	};
+	
+	return observable;
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.EventStream = EventStream;
@@ -0,0 +1,488 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var FakeSoTradeServer;
+
+(function() {
+
+/* loads an export of another module of this package, either via require() or from the global scope */
+var loadModule = function(path, globalName) {
+	if (typeof require == 'function') {
+		try {
+			return require(path)[globalName];
+		} catch (e) {
+			if (e.code != 'MODULE_NOT_FOUND')
+				throw e;
+		}
+	}
+	
+	var scope = typeof window != 'undefined' ? window : (typeof global != 'undefined' ? global : {});
+	if (!scope[globalName])
+		throw new Error(globalName + ' is not available; ' + path.replace(/^\.\//, '') + ' needs to be included');
+	
+	return scope[globalName];
+};
+
+/**
+ * Provides {@link module:fake-server~FakeSoTradeServer}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module fake-server
+ */
+
+/**
+ * A local stand-in for the Tradity server, for testing code that uses
+ * {@link module:sotrade-api~SoTradeConnection} without any network access.
+ * 
+ * The server is connected to its client through a
+ * {@link module:transports~LoopbackTransport}:
+ * 
+ * <pre>
+ * var server = new FakeSoTradeServer({lzma: FakeSoTradeServer.identityLzma});
+ * server.respond('get-user-info', {code: 'get-user-info-success', result: {...}});
+ * 
+ * var conn = new SoTradeConnection({
+ *   transport: server.transport,
+ *   lzma: FakeSoTradeServer.identityLzma
+ * });
+ * </pre>
+ * 
+ * @param {object} [opt]
+ * @param {string} [opt.encoding='raw']  Default encoding for outgoing messages;
+ *             one of <code>'raw'</code>, <code>'lzma'</code> and <code>'split'</code>.
+ * @param {?object} [opt.lzma]  Provider of LZMA compression, i.e. an object with a
+ *             <code>compress(string)</code> method returning a promise for a byte array.
+ *             Required for the <code>'lzma'</code> encoding.
+ * @param {?object} [opt.codecs]  A {@link module:codecs~CodecRegistry} providing further
+ *             encodings; defaults to {@link module:codecs~CodecRegistry.withDefaults}.
+ * @param {?object} [opt.serverConfig]  If given, a <code>server-config</code> event with
+ *             this config is sent to each connecting client.
+ * @param {boolean} [opt.autoConnect=true]  Whether the client transport connects immediately.
+ * @param {?object} [opt.messageVerifier]  A {@link module:signedmsg~SignedMessaging} instance
+ *             for decoding signed queries; signed queries which fail verification are ignored
+ *             (and recorded in <code>errors</code>).
+ * @param {?object} [opt.messageSigner]  A {@link module:signedmsg~SignedMessaging} instance
+ *             used by {@link module:fake-server~FakeSoTradeServer#pushSigned}.
+ * @param {?object|boolean} [opt.handshake]  How to answer the <code>client-hello</code> query
+ *             (see {@link module:sotrade-api~SoTradeConnection#handshake}), as
+ *             <code>{versions: {min, max}, capabilities}</code>; by default, protocol version 1
+ *             and all features are supported. If <code>false</code>, the server behaves like one
+ *             without support for negotiation, i.e. <code>client-hello</code> is treated like
+ *             any other query. Handlers for <code>client-hello</code> added via
+ *             {@link module:fake-server~FakeSoTradeServer#respond} take precedence.
+ * @param {?object} [opt.Promise]  A Promise/A+ implementation.
+ * 
+ * @property {object} transport  The client end of the loopback connection.
+ * @property {object} serverTransport  The server end of the loopback connection.
+ * @property {object[]} queries  All queries received so far, in order.
+ * @property {Error[]} errors  Errors which occurred while decoding queries, e.g. because
+ *             of an invalid signature, or which were thrown by handlers.
+ * @property {object[]} containers  All <code>query-container</code> packets (see
+ *             {@link module:sotrade-api~SoTradeConnection#batch}) received so far.
+ * @property {object} handlers  Query type -> array of <code>{handler, options, once}</code>
+ *             entries, as added by {@link module:fake-server~FakeSoTradeServer#respond}.
+ * 
+ * @public
+ * @constructor module:fake-server~FakeSoTradeServer
+ */
+FakeSoTradeServer = function(opt) {
+	opt = opt || {};
+	
+	var pair = loadModule('./transports.js', 'SoTradeTransports').LoopbackTransport.pair({
+		autoConnect: opt.autoConnect
+	});
+	
+	this.transport = pair.client;
+	this.serverTransport = pair.server;
+	this.encoding = opt.encoding || 'raw';
+	this.lzma = opt.lzma || null;
+	
+	var CodecRegistry = loadModule('./codecs.js', 'CodecRegistry');
+	this.codecs = opt.codecs || CodecRegistry.withDefaults();
+	if (this.lzma)
+		this.codecs.register('lzma', CodecRegistry.lzmaCodec(this.lzma));
+	
+	this.serverConfig = opt.serverConfig || null;
+	this.messageVerifier = opt.messageVerifier || null;
+	this.messageSigner = opt.messageSigner || null;
+	this.handshake = typeof opt.handshake != 'undefined' ? opt.handshake : {
+		versions: {min: 1, max: 1},
+		capabilities: {batching: true, cancellation: true, codecs: this.codecs.names()}
+	};
+	this.Promise = opt.Promise || Promise;
+	this.queries = [];
+	this.containers = [];
+	this.errors = [];
+	this.handlers = {};
+	
+	var self = this;
+	
+	this.connect = function() { return self.transport; };
+	
+	self.serverTransport.on('query', function(query) {
+		self.decode(query).then(function(query) {
+			self.handleQuery(query);
+		}, self.errors.push.bind(self.errors));
+	});
+	
+	// batched queries are answered one by one
+	self.serverTransport.on('query-container', function(container) {
+		self.containers.push(container);
+		
+		container.queries.forEach(function(query) {
+			self.decode(query).then(function(query) {
+				self.handleQuery(query);
+			}, self.errors.push.bind(self.errors));
+		});
+	});
+	
+	self.serverTransport.on('connect', function() {
+		if (self.serverConfig)
+			self.sendServerConfig(self.serverConfig);
+	});
+};
+
+/**
+ * A trivial replacement for an LZMA provider which “compresses” by UTF-8 encoding.
+ * It can be passed as <code>lzma</code> to both the fake server and
+ * {@link module:sotrade-api~SoTradeConnection} in order to exercise the
+ * <code>'lzma'</code> and <code>'split'</code> encodings without LZMA-JS.
+ * 
+ * @member {object} module:fake-server~FakeSoTradeServer.identityLzma
+ */
+FakeSoTradeServer.identityLzma = {
+	compress: function(s) {
+		return Promise.resolve(Array.prototype.slice.call(new TextEncoder().encode(s)));
+	},
+	
+	decompress: function(bytes) {
+		return Promise.resolve(new TextDecoder().decode(new Uint8Array(bytes)));
+	}
+};
+
+/**
+ * Scripts the response to queries of a given type.
+ * Handlers for a type are consulted in the order in which they were added,
+ * with one-time handlers being removed after their first use.
+ * 
+ * @param {string} type  The query type.
+ * @param {object|function} handler  Either the response object or a function that
+ *             receives the query and returns a response object, a promise for one,
+ *             or <code>undefined</code> to leave the query unanswered.
+ *             The <code>is-reply-to</code> field is filled in automatically.
+ * @param {object} [options]
+ * @param {string} [options.encoding]  Encoding for this response, overriding the default one.
+ * @param {number} [options.delay=0]  Delay in milliseconds before answering.
+ * @param {boolean} [options.once=false]  Whether to use this handler for only one query.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#respond
+ */
+FakeSoTradeServer.prototype.respond = function(type, handler, options) {
+	options = options || {};
+	
+	(this.handlers[type] = this.handlers[type] || []).push({
+		handler: handler,
+		options: options,
+		once: !!options.once
+	});
+	
+	return this;
+};
+
+/**
+ * Like {@link module:fake-server~FakeSoTradeServer#respond} with <code>options.once</code>
+ * set.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#respondOnce
+ */
+FakeSoTradeServer.prototype.respondOnce = function(type, handler, options) {
+	options = options || {};
+	options.once = true;
+	
+	return this.respond(type, handler, options);
+};
+
+/**
+ * Answers an incoming query using the scripted handlers.
+ * If a handler throws (or returns a rejected promise), the error is recorded in
+ * <code>errors</code> and an <code>internal-server-error</code> event is sent,
+ * like the real server does.
+ * 
+ * @param {object} query  The query as received from the client.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#handleQuery
+ */
+FakeSoTradeServer.prototype.handleQuery = function(query) {
+	var self = this;
+	var srecv = new Date().getTime();
+	
+	self.queries.push(query);
+	
+	var handlers = self.handlers[query.type] || [];
+	var entry = handlers[0];
+	
+	if (!entry && query.type == 'client-hello' && self.handshake)
+		entry = {handler: self.negotiate.bind(self), options: {}};
+	
+	if (!entry)
+		return;
+	
+	if (entry.once)
+		handlers.shift();
+	
+	return self.Promise.resolve().then(function() {
+		if (typeof entry.handler == 'function')
+			return entry.handler(query, self);
+		
+		return JSON.parse(JSON.stringify(entry.handler));
+	}).then(function(response) {
+		if (!response)
+			return;
+		
+		response['is-reply-to'] = query.id;
+		response._t_srecv = srecv;
+		response._t_sdone = new Date().getTime();
+		
+		setTimeout(function() {
+			self.send('response', response, entry.options.encoding);
+		}, entry.options.delay || 0);
+	}).catch(function(err) {
+		self.errors.push(err);
+		self.internalServerError();
+	});
+};
+
+/**
+ * Answers a <code>client-hello</code> query according to <code>this.handshake</code>,
+ * choosing the highest protocol version supported by both sides.
+ * 
+ * @param {object} query  The query.
+ * 
+ * @returns {object} The response.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#negotiate
+ */
+FakeSoTradeServer.prototype.negotiate = function(query) {
+	var versions = this.handshake.versions;
+	var offered = query.protocol || {min: 1, max: 1};
+	var version = Math.min(versions.max, offered.max);
+	
+	if (version < Math.max(versions.min, offered.min))
+		return {code: 'protocol-unsupported', versions: versions};
+	
+	return {
+		code: 'client-hello-success',
+		protocol: version,
+		capabilities: this.handshake.capabilities
+	};
+};
+
+/**
+ * Encodes a message in the format understood by
+ * {@link module:sotrade-api~SoTradeConnection#unwrap}.
+ * 
+ * @param {object} data  The message.
+ * @param {string} [encoding]  One of <code>'raw'</code>, <code>'split'</code> and
+ *             the names of the codecs in <code>this.codecs</code> (e.g. <code>'lzma'</code>
+ *             or <code>'gzip'</code>); defaults to <code>this.encoding</code>.
+ * 
+ * @returns {object} A promise for the encoded message.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#encode
+ */
+FakeSoTradeServer.prototype.encode = function(data, encoding) {
+	var self = this;
+	encoding = encoding || self.encoding;
+	
+	if (encoding == 'raw')
+		return self.Promise.resolve({e: 'raw', s: JSON.stringify(data)});
+	
+	if (encoding == 'split') {
+		/* send the first half of the keys in one piece and the rest in another */
+		var keys = Object.keys(data);
+		var half = Math.ceil(keys.length / 2);
+		var pieces = [keys.slice(0, half), keys.slice(half)].filter(function(pieceKeys) {
+			return pieceKeys.length > 0;
+		}).map(function(pieceKeys) {
+			var piece = {};
+			for (var i = 0; i < pieceKeys.length; ++i)
+				piece[pieceKeys[i]] = data[pieceKeys[i]];
+			
+			return self.encode(piece, self.lzma ? 'lzma' : 'raw');
+		});
+		
+		return self.Promise.all(pieces).then(function(pieces) {
+			return {e: 'split', s: pieces};
+		});
+	}
+	
+	var codec = self.codecs.get(encoding);
+	if (!codec || !codec.encode)
+		return self.Promise.reject(new Error('Unknown encoding: ' + encoding));
+	
+	return self.Promise.resolve(codec.encode(JSON.stringify(data))).then(function(s) {
+		return {e: encoding, s: s};
+	});
+};
+
+/**
+ * Decodes a query which has been compressed by the client (see
+ * {@link module:sotrade-api~SoTradeConnection#compressQuery}) and/or signed.
+ * Signed queries are verified using <code>this.messageVerifier</code> and marked
+ * with <code>_verified: true</code>.
+ * 
+ * @param {object} query  The query as received.
+ * 
+ * @returns {object} A promise for the decoded query.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#decode
+ */
+FakeSoTradeServer.prototype.decode = function(query) {
+	var self = this;
+	var decoded = self.Promise.resolve(query);
+	
+	if (query.e) {
+		var codec = self.codecs.get(query.e);
+		if (!codec)
+			return self.Promise.reject(new Error('Unknown encoding: ' + query.e));
+		
+		decoded = self.Promise.resolve(codec.decode(new Uint8Array(query.s))).then(JSON.parse);
+	}
+	
+	return decoded.then(function(query) {
+		if (!query.signedContent)
+			return query;
+		
+		if (!self.messageVerifier)
+			throw new Error('Received signed query, but no verifier is set');
+		
+		return self.messageVerifier.verifySignedMessage(query.signedContent).then(function(content) {
+			if (!content)
+				throw new Error('Invalid signature on query');
+			
+			content._verified = true;
+			return content;
+		});
+	});
+};
+
+/**
+ * Encodes and sends a message to the client, adding the server send time <code>t</code>.
+ * 
+ * @param {string} evname  The event name, e.g. <code>'response'</code> or <code>'push'</code>.
+ * @param {object} data  The (unencoded) message.
+ * @param {string} [encoding]  See {@link module:fake-server~FakeSoTradeServer#encode}.
+ * 
+ * @returns {object} A promise which is fulfilled when the message has been sent.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#send
+ */
+FakeSoTradeServer.prototype.send = function(evname, data, encoding) {
+	var self = this;
+	
+	return self.encode(data, encoding).then(function(wdata) {
+		wdata.t = new Date().getTime();
+		self.serverTransport.emit(evname, wdata);
+	});
+};
+
+/**
+ * Sends a single push event.
+ * 
+ * @param {object} data  The event, including its <code>type</code>.
+ * @param {string} [encoding]  See {@link module:fake-server~FakeSoTradeServer#encode}.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#push
+ */
+FakeSoTradeServer.prototype.push = function(data, encoding) {
+	return this.send('push', data, encoding);
+};
+
+/**
+ * Sends a push event signed using <code>this.messageSigner</code>, as
+ * <code>{type, signedContent}</code>.
+ * 
+ * @param {object} data  The push event.
+ * @param {string} [encoding]  See {@link module:fake-server~FakeSoTradeServer#encode}.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#pushSigned
+ */
+FakeSoTradeServer.prototype.pushSigned = function(data, encoding) {
+	var self = this;
+	
+	return self.messageSigner.createSignedMessage(data).then(function(signed) {
+		return self.push({type: data.type, signedContent: signed}, encoding);
+	});
+};
+
+/**
+ * Sends multiple push events in a single <code>push-container</code> message.
+ * 
+ * @param {object[]} pushes  The events, each including its <code>type</code>.
+ * @param {string} [encoding]  See {@link module:fake-server~FakeSoTradeServer#encode}.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#pushContainer
+ */
+FakeSoTradeServer.prototype.pushContainer = function(pushes, encoding) {
+	return this.send('push-container', {pushes: pushes}, encoding);
+};
+
+/**
+ * Sends a <code>server-config</code> event.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#sendServerConfig
+ */
+FakeSoTradeServer.prototype.sendServerConfig = function(config) {
+	return this.push({type: 'server-config', config: config});
+};
+
+/**
+ * Sends a <code>debug-info</code> event with the given arguments.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#debugInfo
+ */
+FakeSoTradeServer.prototype.debugInfo = function() {
+	return this.push({type: 'debug-info', args: Array.prototype.slice.call(arguments)});
+};
+
+/**
+ * Sends an <code>internal-server-error</code> event.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#internalServerError
+ */
+FakeSoTradeServer.prototype.internalServerError = function() {
+	return this.push({type: 'internal-server-error'});
+};
+
+/**
+ * Drops the connection to the client, as if the network failed.
+ * 
+ * @param {boolean} [refuseReconnect=false]  Whether to also refuse reconnect attempts
+ *             until {@link module:fake-server~FakeSoTradeServer#acceptConnections} is called.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#disconnect
+ */
+FakeSoTradeServer.prototype.disconnect = function(refuseReconnect) {
+	if (refuseReconnect)
+		this.serverTransport.accepting = false;
+	
+	this.serverTransport.disconnect('transport close');
+};
+
+/**
+ * Makes the server accept connections from the client again.
+ * 
+ * @function module:fake-server~FakeSoTradeServer#acceptConnections
+ */
+FakeSoTradeServer.prototype.acceptConnections = function() {
+	this.serverTransport.accepting = true;
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.FakeSoTradeServer = FakeSoTradeServer;
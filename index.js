@@ -7,9 +7,30 @@
 if (typeof exports != 'undefined' && exports) {
 	var util = require('./util.js');
 	var api = require('./sotrade-api.js');
+	var transports = require('./transports.js');
+	var fakeServer = require('./fake-server.js');
+	var queryCache = require('./query-cache.js');
+	var codecs = require('./codecs.js');
+	var metrics = require('./metrics.js');
+	var keyStorage = require('./key-storage.js');
+	var eventStream = require('./event-stream.js');
+	var signedmsg = require('./signedmsg.js');
+	var trafficRecorder = require('./traffic-recorder.js');
 	
 	exports.parentPath = util.parentPath;
 	exports.locallyUnique = util.locallyUnique;
 	exports.detectCycle = util.detectCycle;
 	exports.SoTradeConnection = api.SoTradeConnection;
+	exports.SocketIOTransport = transports.SocketIOTransport;
+	exports.WebSocketTransport = transports.WebSocketTransport;
+	exports.LoopbackTransport = transports.LoopbackTransport;
+	exports.ReplayTransport = transports.ReplayTransport;
+	exports.FakeSoTradeServer = fakeServer.FakeSoTradeServer;
+	exports.QueryCache = queryCache.QueryCache;
+	exports.CodecRegistry = codecs.CodecRegistry;
+	exports.QueryMetrics = metrics.QueryMetrics;
+	exports.KeyStorage = keyStorage.KeyStorage;
+	exports.EventStream = eventStream.EventStream;
+	exports.SignedMessaging = signedmsg.SignedMessaging;
+	exports.TrafficRecorder = trafficRecorder.TrafficRecorder;
 }
@@ -0,0 +1,119 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var KeyStorage;
+
+(function() {
+
+/**
+ * Provides {@link module:key-storage~KeyStorage}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module key-storage
+ */
+
+/**
+ * Factories for objects which can be used as
+ * {@link module:sotrade-api~SoTradeConnection#keyStorage}.
+ * 
+ * A key storage provides a <code>getKey()</code> and a <code>setKey(key)</code>
+ * method. Both may either work synchronously or return a promise; a
+ * <code>null</code> key means that there is no active session.
+ * The default, in-memory storage is
+ * {@link module:sotrade-api~SoTradeConnection.defaultKeyStorage}.
+ * 
+ * @public
+ * @namespace module:key-storage~KeyStorage
+ */
+KeyStorage = {};
+
+/**
+ * Creates a key storage backed by a Web Storage object, e.g.
+ * <code>localStorage</code> (which keeps the session across browser restarts)
+ * or <code>sessionStorage</code> (which keeps it for the lifetime of the tab).
+ * 
+ * Storage objects with a promise-based <code>getItem</code>/<code>setItem</code>/<code>removeItem</code>
+ * interface (like localForage) can be used as well.
+ * 
+ * @param {object} [storage=window.localStorage]  The storage object.
+ * @param {string} [name='sotrade-session-key']  The item name under which the key is stored.
+ * 
+ * @function module:key-storage~KeyStorage.webStorage
+ */
+KeyStorage.webStorage = function(storage, name) {
+	storage = storage || window.localStorage;
+	name = name || 'sotrade-session-key';
+	
+	return {
+		getKey: function() {
+			return storage.getItem(name);
+		},
+		
+		setKey: function(k) {
+			if (k === null || typeof k == 'undefined')
+				return storage.removeItem(name);
+			
+			return storage.setItem(name, k);
+		}
+	};
+};
+
+/**
+ * Creates a key storage for Node.js which keeps the key in a file.
+ * All operations are asynchronous; writes are performed in the order in
+ * which they were requested. The file is removed when the key is cleared.
+ * 
+ * @param {string} path  The path of the file.
+ * @param {object} [opt]
+ * @param {int} [opt.mode=0o600]  The permissions for newly created files.
+ * @param {object} [opt.fs]  An object providing the <code>fs.promises</code> API.
+ * 
+ * @function module:key-storage~KeyStorage.file
+ */
+KeyStorage.file = function(path, opt) {
+	opt = opt || {};
+	
+	var fs = opt.fs || require('fs').promises;
+	var mode = typeof opt.mode != 'undefined' ? opt.mode : parseInt('600', 8);
+	var lastWrite = Promise.resolve();
+	
+	var ignoreMissing = function(e) {
+		if (e.code != 'ENOENT')
+			throw e;
+		
+		return null;
+	};
+	
+	return {
+		getKey: function() {
+			return lastWrite.then(function() {
+				return fs.readFile(path, 'utf8');
+			}).then(function(content) {
+				return JSON.parse(content).key || null;
+			}, ignoreMissing);
+		},
+		
+		setKey: function(k) {
+			var write = function() {
+				if (k === null || typeof k == 'undefined')
+					return fs.unlink(path).catch(ignoreMissing);
+				
+				return fs.writeFile(path, JSON.stringify({key: k}), {mode: mode});
+			};
+			
+			// a failed write should not prevent later ones
+			return lastWrite = lastWrite.catch(function() {}).then(write).then(function() {
+				return k;
+			});
+		}
+	};
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.KeyStorage = KeyStorage;
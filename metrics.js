@@ -0,0 +1,315 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var QueryMetrics;
+
+(function() {
+
+/**
+ * Provides {@link module:metrics~QueryMetrics}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module metrics
+ */
+
+/**
+ * Collects per-query-type statistics from the timing and size information
+ * that {@link module:sotrade-api~SoTradeConnection#responseHandler} attaches
+ * to responses (<code>_dt</code>, <code>_reqsize</code>, <code>_resp_encsize</code>
+ * and <code>_resp_decsize</code>), as well as failed queries.
+ * 
+ * @param {object} [opt]
+ * @param {number[]} [opt.buckets]  Upper bounds (in milliseconds) of the latency
+ *             histogram buckets.
+ * @param {int} [opt.sampleSize=256]  Number of most recent samples per query type and
+ *             phase that are kept for calculating percentiles.
+ * 
+ * @property {object} types  Query type -> statistics for that type.
+ * 
+ * @public
+ * @constructor module:metrics~QueryMetrics
+ */
+QueryMetrics = function(opt) {
+	opt = opt || {};
+	
+	this.buckets = opt.buckets || QueryMetrics.defaultBuckets;
+	this.sampleSize = opt.sampleSize || 256;
+	this.types = {};
+};
+
+/**
+ * The default histogram bucket bounds in milliseconds.
+ * 
+ * @member {number[]} module:metrics~QueryMetrics.defaultBuckets
+ */
+QueryMetrics.defaultBuckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * The timing phases, as found in the <code>_dt</code> property of responses.
+ * 
+ * @member {string[]} module:metrics~QueryMetrics.phases
+ */
+QueryMetrics.phases = ['csched', 'cdelta', 'inqueue', 'sdelta', 'outqueue', 'scomp', 'ccomp'];
+
+/* creates the statistics record for a single timing phase */
+var newPhaseStats = function(bucketBounds) {
+	return {
+		count: 0,
+		sum: 0,
+		buckets: bucketBounds.map(function() { return 0; }),
+		samples: []
+	};
+};
+
+/**
+ * Returns the statistics record for a query type, creating it if necessary.
+ * 
+ * @function module:metrics~QueryMetrics#typeStats
+ */
+QueryMetrics.prototype.typeStats = function(type) {
+	if (this.types[type])
+		return this.types[type];
+	
+	var stats = {
+		responses: 0,
+		errors: 0,
+		timeouts: 0,
+		requestBytes: 0,
+		responseEncodedBytes: 0,
+		responseDecodedBytes: 0,
+		phases: {}
+	};
+	
+	for (var i = 0; i < QueryMetrics.phases.length; ++i)
+		stats.phases[QueryMetrics.phases[i]] = newPhaseStats(this.buckets);
+	
+	return this.types[type] = stats;
+};
+
+/**
+ * Records a response.
+ * 
+ * @param {object} data  A response, as passed to listeners.
+ * 
+ * @function module:metrics~QueryMetrics#recordResponse
+ */
+QueryMetrics.prototype.recordResponse = function(data) {
+	var stats = this.typeStats(data.type);
+	
+	stats.responses++;
+	stats.requestBytes += data._reqsize || 0;
+	stats.responseEncodedBytes += data._resp_encsize || 0;
+	stats.responseDecodedBytes += data._resp_decsize || 0;
+	
+	for (var phase in data._dt || {}) {
+		var value = data._dt[phase];
+		if (!stats.phases[phase] || typeof value != 'number' || isNaN(value))
+			continue;
+		
+		this.recordValue(stats.phases[phase], value);
+	}
+};
+
+/**
+ * Records an additional timing value for a query type, e.g. for phases
+ * which are not part of {@link module:metrics~QueryMetrics.phases}.
+ * 
+ * @param {string} type  The query type.
+ * @param {string} phase  The name of the phase.
+ * @param {number} value  The duration in milliseconds.
+ * 
+ * @function module:metrics~QueryMetrics#recordTiming
+ */
+QueryMetrics.prototype.recordTiming = function(type, phase, value) {
+	var stats = this.typeStats(type);
+	
+	if (!stats.phases[phase])
+		stats.phases[phase] = newPhaseStats(this.buckets);
+	
+	this.recordValue(stats.phases[phase], value);
+};
+
+/**
+ * Adds a single value to the statistics record of a timing phase.
+ * 
+ * @function module:metrics~QueryMetrics#recordValue
+ */
+QueryMetrics.prototype.recordValue = function(phaseStats, value) {
+	phaseStats.count++;
+	phaseStats.sum += value;
+	
+	for (var i = 0; i < this.buckets.length; ++i)
+		if (value <= this.buckets[i])
+			phaseStats.buckets[i]++;
+	
+	phaseStats.samples.push(value);
+	if (phaseStats.samples.length > this.sampleSize)
+		phaseStats.samples.shift();
+};
+
+/**
+ * Records a failed query.
+ * 
+ * @param {string} type  The query type.
+ * @param {Error} err  The reason for the failure; errors with the code
+ *             <code>'query-timeout'</code> are counted as timeouts.
+ * 
+ * @function module:metrics~QueryMetrics#recordFailure
+ */
+QueryMetrics.prototype.recordFailure = function(type, err) {
+	var stats = this.typeStats(type);
+	
+	if (err && err.code == 'query-timeout')
+		stats.timeouts++;
+	else
+		stats.errors++;
+};
+
+/* returns the p-th percentile (0 < p < 1) of an array of numbers */
+var percentile = function(values, p) {
+	if (values.length == 0)
+		return null;
+	
+	var sorted = values.slice().sort(function(a, b) { return a - b; });
+	return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+/**
+ * Returns the current statistics as a plain object.
+ * 
+ * For each query type, this contains the counts of <code>responses</code>,
+ * <code>errors</code> and <code>timeouts</code>, the byte counts, the
+ * <code>compressionRatio</code> (encoded / decoded response size) and, for each
+ * timing phase, <code>count</code>, <code>mean</code>, <code>p50</code>,
+ * <code>p90</code>, <code>p99</code>, <code>max</code> and the cumulative
+ * histogram <code>buckets</code> (upper bound -> count).
+ * 
+ * @function module:metrics~QueryMetrics#snapshot
+ */
+QueryMetrics.prototype.snapshot = function() {
+	var result = {};
+	
+	for (var type in this.types) {
+		var stats = this.types[type];
+		var phases = {};
+		
+		for (var phase in stats.phases) {
+			var ps = stats.phases[phase];
+			var buckets = {};
+			
+			for (var i = 0; i < this.buckets.length; ++i)
+				buckets[this.buckets[i]] = ps.buckets[i];
+			buckets['+Inf'] = ps.count;
+			
+			phases[phase] = {
+				count: ps.count,
+				mean: ps.count ? ps.sum / ps.count : null,
+				p50: percentile(ps.samples, 0.5),
+				p90: percentile(ps.samples, 0.9),
+				p99: percentile(ps.samples, 0.99),
+				max: ps.samples.length ? Math.max.apply(Math, ps.samples) : null,
+				buckets: buckets
+			};
+		}
+		
+		result[type] = {
+			responses: stats.responses,
+			errors: stats.errors,
+			timeouts: stats.timeouts,
+			requestBytes: stats.requestBytes,
+			responseEncodedBytes: stats.responseEncodedBytes,
+			responseDecodedBytes: stats.responseDecodedBytes,
+			compressionRatio: stats.responseDecodedBytes ?
+				stats.responseEncodedBytes / stats.responseDecodedBytes : null,
+			phases: phases
+		};
+	}
+	
+	return result;
+};
+
+/**
+ * Makes <code>JSON.stringify(metrics)</code> export the current statistics
+ * as returned by {@link module:metrics~QueryMetrics#snapshot}.
+ * 
+ * @function module:metrics~QueryMetrics#toJSON
+ */
+QueryMetrics.prototype.toJSON = function() {
+	return this.snapshot();
+};
+
+/* escapes a Prometheus label value */
+var label = function(value) {
+	return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+};
+
+/**
+ * Returns the current statistics in the Prometheus text exposition format.
+ * 
+ * @param {string} [prefix='sotrade_client']  Prefix for all metric names.
+ * 
+ * @function module:metrics~QueryMetrics#toPrometheus
+ */
+QueryMetrics.prototype.toPrometheus = function(prefix) {
+	prefix = prefix || 'sotrade_client';
+	
+	var lines = [];
+	var type, stats;
+	
+	var counter = function(name, help, field) {
+		lines.push('# HELP ' + prefix + '_' + name + ' ' + help);
+		lines.push('# TYPE ' + prefix + '_' + name + ' counter');
+		
+		for (type in this.types)
+			lines.push(prefix + '_' + name + '{type=' + label(type) + '} ' + this.types[type][field]);
+	}.bind(this);
+	
+	counter('responses_total', 'Number of received responses.', 'responses');
+	counter('errors_total', 'Number of failed queries, except for timeouts.', 'errors');
+	counter('timeouts_total', 'Number of timed out queries.', 'timeouts');
+	counter('request_bytes_total', 'Size of sent queries.', 'requestBytes');
+	counter('response_encoded_bytes_total', 'Size of received responses before decoding.',
+		'responseEncodedBytes');
+	counter('response_decoded_bytes_total', 'Size of received responses after decoding.',
+		'responseDecodedBytes');
+	
+	var histogram = prefix + '_phase_duration_ms';
+	lines.push('# HELP ' + histogram + ' Duration of query phases in milliseconds.');
+	lines.push('# TYPE ' + histogram + ' histogram');
+	
+	for (type in this.types) {
+		stats = this.types[type];
+		
+		for (var phase in stats.phases) {
+			var ps = stats.phases[phase];
+			var labels = 'type=' + label(type) + ',phase=' + label(phase);
+			
+			for (var i = 0; i < this.buckets.length; ++i)
+				lines.push(histogram + '_bucket{' + labels + ',le="' + this.buckets[i] + '"} ' + ps.buckets[i]);
+			
+			lines.push(histogram + '_bucket{' + labels + ',le="+Inf"} ' + ps.count);
+			lines.push(histogram + '_sum{' + labels + '} ' + ps.sum);
+			lines.push(histogram + '_count{' + labels + '} ' + ps.count);
+		}
+	}
+	
+	return lines.join('\n') + '\n';
+};
+
+/**
+ * Discards all collected statistics.
+ * 
+ * @function module:metrics~QueryMetrics#reset
+ */
+QueryMetrics.prototype.reset = function() {
+	this.types = {};
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.QueryMetrics = QueryMetrics;
@@ -0,0 +1,301 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var QueryCache;
+
+(function() {
+
+/**
+ * Provides {@link module:query-cache~QueryCache}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module query-cache
+ */
+
+/**
+ * A bounded cache for query responses with LRU eviction, as used by
+ * {@link module:sotrade-api~SoTradeConnection#emit} for queries with a
+ * <code>_cache</code> entry.
+ * 
+ * @param {object} [opt]
+ * @param {int} [opt.maxEntries=500]  Maximum number of cached responses.
+ * @param {int} [opt.maxBytes=Infinity]  Maximum total size of the cached responses,
+ *             measured as the length of their JSON representation.
+ * @param {number} [opt.staleWhileRevalidate=0]  Number of seconds for which an expired
+ *             entry may still be returned, while it is refreshed in the background.
+ * @param {object} [opt.invalidateOn]  Push event type -> array of query types whose
+ *             cached responses are discarded when such an event arrives.
+ *             See {@link module:query-cache~QueryCache#invalidateOn}.
+ * 
+ * @property {object} entries  Cache key -> <code>{key, type, response, rtime, ptime, size}</code>,
+ *             ordered from least to most recently used.
+ * @property {int} bytes  The current total size of all entries.
+ * 
+ * @public
+ * @constructor module:query-cache~QueryCache
+ */
+QueryCache = function(opt) {
+	opt = opt || {};
+	
+	this.maxEntries = typeof opt.maxEntries != 'undefined' ? opt.maxEntries : 500;
+	this.maxBytes = typeof opt.maxBytes != 'undefined' ? opt.maxBytes : Infinity;
+	this.staleWhileRevalidate = opt.staleWhileRevalidate || 0;
+	this.invalidationMap = {};
+	
+	this.entries = {};
+	this.count = 0;
+	this.bytes = 0;
+	
+	this._stats = {hits: 0, staleHits: 0, misses: 0, evictions: 0, invalidations: 0};
+	
+	for (var pushType in opt.invalidateOn || {})
+		this.invalidateOn(pushType, opt.invalidateOn[pushType]);
+};
+
+/* stringifies an object with sorted keys, so that equal objects give equal strings */
+var normalizedJSON = function(obj) {
+	if (!obj || typeof obj != 'object')
+		return JSON.stringify(obj);
+	
+	if (Array.isArray(obj))
+		return '[' + obj.map(normalizedJSON).join(',') + ']';
+	
+	return '{' + Object.keys(obj).sort().filter(function(key) {
+		return typeof obj[key] != 'undefined' && typeof obj[key] != 'function';
+	}).map(function(key) {
+		return JSON.stringify(key) + ':' + normalizedJSON(obj[key]);
+	}).join(',') + '}';
+};
+
+/**
+ * Returns the cache key for a query. The query ID and local control entries
+ * (those starting with an underscore, except for <code>_prefill</code>) are ignored,
+ * as is the order of object keys.
+ * 
+ * @param {object} data  The query, including its <code>type</code>.
+ * 
+ * @returns {string} The cache key.
+ * 
+ * @function module:query-cache~QueryCache.keyFor
+ */
+QueryCache.keyFor = function(data) {
+	var relevant = {};
+	
+	for (var key in data) {
+		if (!data.hasOwnProperty(key) || key == 'id')
+			continue;
+		
+		if (key.charAt(0) == '_' && key != '_prefill')
+			continue;
+		
+		relevant[key] = data[key];
+	}
+	
+	return normalizedJSON(relevant);
+};
+
+/**
+ * Looks up a cached response.
+ * Entries which have expired less than <code>this.staleWhileRevalidate</code>
+ * seconds ago are returned with their <code>stale</code> flag set.
+ * 
+ * @param {string} key  A cache key as returned by {@link module:query-cache~QueryCache.keyFor}.
+ * 
+ * @returns {?object} A cache entry, or <code>null</code> in case of a cache miss.
+ * 
+ * @function module:query-cache~QueryCache#get
+ */
+QueryCache.prototype.get = function(key) {
+	var entry = this.entries[key];
+	var now = new Date().getTime();
+	
+	if (entry && now >= entry.ptime + this.staleWhileRevalidate * 1000) {
+		this.remove(key);
+		entry = null;
+	}
+	
+	if (!entry) {
+		this._stats.misses++;
+		return null;
+	}
+	
+	// mark as most recently used
+	delete this.entries[key];
+	this.entries[key] = entry;
+	
+	entry.stale = now >= entry.ptime;
+	if (entry.stale)
+		this._stats.staleHits++;
+	else
+		this._stats.hits++;
+	
+	return entry;
+};
+
+/**
+ * Inserts a response into the cache, evicting the least recently used entries if necessary.
+ * 
+ * @param {string} key  A cache key as returned by {@link module:query-cache~QueryCache.keyFor}.
+ * @param {string} type  The query type.
+ * @param {object} response  The response.
+ * @param {number} ttl  Time in milliseconds for which the response is considered fresh.
+ * 
+ * @function module:query-cache~QueryCache#set
+ */
+QueryCache.prototype.set = function(key, type, response, ttl) {
+	var now = new Date().getTime();
+	
+	this.remove(key);
+	
+	var entry = {
+		key: key,
+		type: type,
+		response: response,
+		rtime: now,
+		ptime: now + ttl,
+		size: JSON.stringify(response).length,
+		stale: false
+	};
+	
+	if (entry.size > this.maxBytes)
+		return;
+	
+	this.entries[key] = entry;
+	this.count++;
+	this.bytes += entry.size;
+	
+	while (this.count > this.maxEntries || this.bytes > this.maxBytes) {
+		this.remove(Object.keys(this.entries)[0]);
+		this._stats.evictions++;
+	}
+};
+
+/**
+ * Removes a single entry.
+ * 
+ * @param {string} key  The cache key of the entry.
+ * 
+ * @function module:query-cache~QueryCache#remove
+ */
+QueryCache.prototype.remove = function(key) {
+	var entry = this.entries[key];
+	if (!entry)
+		return;
+	
+	delete this.entries[key];
+	this.count--;
+	this.bytes -= entry.size;
+};
+
+/**
+ * Removes all entries which cannot be returned anymore, not even as stale entries.
+ * 
+ * @function module:query-cache~QueryCache#prune
+ */
+QueryCache.prototype.prune = function() {
+	var limit = new Date().getTime() - this.staleWhileRevalidate * 1000;
+	
+	for (var key in this.entries)
+		if (this.entries[key].ptime <= limit)
+			this.remove(key);
+};
+
+/**
+ * Discards cached responses.
+ * 
+ * @param {string|string[]|function} filter  A query type, an array of query types, or
+ *             a predicate which receives a cache entry and returns whether to discard it.
+ * 
+ * @returns {int} The number of discarded entries.
+ * 
+ * @function module:query-cache~QueryCache#invalidate
+ */
+QueryCache.prototype.invalidate = function(filter) {
+	var predicate = filter;
+	
+	if (typeof filter == 'string')
+		filter = [filter];
+	
+	if (typeof filter != 'function')
+		predicate = function(entry) { return filter.indexOf(entry.type) != -1; };
+	
+	var removed = 0;
+	for (var key in this.entries) {
+		if (predicate(this.entries[key])) {
+			this.remove(key);
+			removed++;
+		}
+	}
+	
+	this._stats.invalidations += removed;
+	return removed;
+};
+
+/**
+ * Registers query types whose cached responses are discarded when
+ * a given push event arrives.
+ * 
+ * @param {string} pushType  The push event type (e.g. <code>'trade'</code>).
+ * @param {string|string[]|function} filter  See {@link module:query-cache~QueryCache#invalidate}.
+ * 
+ * @function module:query-cache~QueryCache#invalidateOn
+ */
+QueryCache.prototype.invalidateOn = function(pushType, filter) {
+	(this.invalidationMap[pushType] = this.invalidationMap[pushType] || []).push(filter);
+};
+
+/**
+ * Applies the invalidation rules registered via
+ * {@link module:query-cache~QueryCache#invalidateOn} for an incoming push event.
+ * 
+ * @param {object} data  The push event.
+ * 
+ * @function module:query-cache~QueryCache#handlePush
+ */
+QueryCache.prototype.handlePush = function(data) {
+	var filters = this.invalidationMap[data.type] || [];
+	
+	for (var i = 0; i < filters.length; ++i)
+		this.invalidate(filters[i]);
+};
+
+/**
+ * Removes all entries.
+ * 
+ * @function module:query-cache~QueryCache#clear
+ */
+QueryCache.prototype.clear = function() {
+	this.entries = {};
+	this.count = 0;
+	this.bytes = 0;
+};
+
+/**
+ * Returns cache statistics.
+ * 
+ * @returns {object} An object with <code>hits</code>, <code>staleHits</code>,
+ *             <code>misses</code>, <code>evictions</code>, <code>invalidations</code>,
+ *             <code>entries</code> and <code>bytes</code> properties.
+ * 
+ * @function module:query-cache~QueryCache#stats
+ */
+QueryCache.prototype.stats = function() {
+	return {
+		hits: this._stats.hits,
+		staleHits: this._stats.staleHits,
+		misses: this._stats.misses,
+		evictions: this._stats.evictions,
+		invalidations: this._stats.invalidations,
+		entries: this.count,
+		bytes: this.bytes
+	};
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.QueryCache = QueryCache;
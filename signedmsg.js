@@ -0,0 +1,316 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var SignedMessaging;
+
+(function() {
+
+/**
+ * Provides {@link module:signedmsg~SignedMessaging}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module signedmsg
+ */
+
+/* returns the WebCrypto implementation of the current environment */
+var defaultSubtle = function() {
+	if (typeof crypto != 'undefined' && crypto && crypto.subtle)
+		return crypto.subtle;
+	
+	return require('crypto').webcrypto.subtle;
+};
+
+/* the WebCrypto parameters for the supported algorithms */
+var algorithms = {
+	Ed25519: {
+		key: {name: 'Ed25519'},
+		sign: {name: 'Ed25519'}
+	},
+	ECDSA: {
+		key: {name: 'ECDSA', namedCurve: 'P-256'},
+		sign: {name: 'ECDSA', hash: 'SHA-256'}
+	}
+};
+
+var utf8Encode = function(s) {
+	return new TextEncoder().encode(s);
+};
+
+var utf8Decode = function(bytes) {
+	return new TextDecoder().decode(bytes);
+};
+
+var toBase64 = function(bytes) {
+	bytes = new Uint8Array(bytes);
+	
+	if (typeof btoa == 'undefined')
+		return Buffer.from(bytes).toString('base64');
+	
+	var binary = '';
+	for (var i = 0; i < bytes.length; ++i)
+		binary += String.fromCharCode(bytes[i]);
+	
+	return btoa(binary);
+};
+
+var fromBase64 = function(s) {
+	if (typeof atob == 'undefined')
+		return new Uint8Array(Buffer.from(s, 'base64'));
+	
+	var binary = atob(s);
+	var bytes = new Uint8Array(binary.length);
+	for (var i = 0; i < binary.length; ++i)
+		bytes[i] = binary.charCodeAt(i);
+	
+	return bytes;
+};
+
+/* returns a random hex string of the given number of bytes */
+var randomNonce = function(length) {
+	var bytes = new Uint8Array(length);
+	
+	if (typeof crypto != 'undefined' && crypto && crypto.getRandomValues)
+		crypto.getRandomValues(bytes);
+	else
+		bytes = new Uint8Array(require('crypto').randomBytes(length));
+	
+	return Array.prototype.map.call(bytes, function(b) {
+		return (b < 16 ? '0' : '') + b.toString(16);
+	}).join('');
+};
+
+/**
+ * Creates and verifies signed messages.
+ * 
+ * A signed message is a string of the form
+ * <code>base64(JSON)#timestamp#nonce~base64(signature)</code>, where the timestamp
+ * is given in milliseconds and the signature covers everything before the
+ * <code>~</code>. Verification rejects messages which are too old, from the future,
+ * or whose nonce has been seen before within <code>maxAge</code>.
+ * 
+ * Instances can be passed to {@link module:sotrade-api~SoTradeConnection} as
+ * <code>messageSigner</code> (for signing queries) and as <code>messageVerifier</code>
+ * (for verifying incoming messages).
+ * 
+ * @param {object} [opt]
+ * @param {string} [opt.algorithm='ECDSA']  Either <code>'ECDSA'</code> (using P-256 and
+ *             SHA-256) or <code>'Ed25519'</code>.
+ * @param {number} [opt.maxAge=300]  Number of seconds for which a signed message is valid.
+ * @param {number} [opt.maxClockSkew=30]  Number of seconds by which a message’s timestamp
+ *             may lie in the future.
+ * @param {object} [opt.subtle]  A WebCrypto <code>SubtleCrypto</code> implementation;
+ *             defaults to the browser’s or Node’s one.
+ * 
+ * @property {?object} privateKey  The <code>CryptoKey</code> used for signing.
+ * @property {?object} publicKey  The <code>CryptoKey</code> corresponding to <code>privateKey</code>.
+ * @property {object[]} publicKeys  All <code>CryptoKey</code>s accepted for verification.
+ * @property {object} seenNonces  Nonce -> expiry time, for detecting replayed messages.
+ * 
+ * @public
+ * @constructor module:signedmsg~SignedMessaging
+ */
+SignedMessaging = function(opt) {
+	opt = opt || {};
+	
+	this.algorithm = opt.algorithm || 'ECDSA';
+	if (!algorithms[this.algorithm])
+		throw new Error('Unsupported signature algorithm: ' + this.algorithm);
+	
+	this.maxAge = typeof opt.maxAge != 'undefined' ? opt.maxAge : 300;
+	this.maxClockSkew = typeof opt.maxClockSkew != 'undefined' ? opt.maxClockSkew : 30;
+	this.subtle = opt.subtle || defaultSubtle();
+	
+	this.privateKey = null;
+	this.publicKey = null;
+	this.publicKeys = [];
+	this.seenNonces = {};
+};
+
+/**
+ * Generates a new key pair, which is used for signing and accepted for verification.
+ * 
+ * @returns {object} A promise which is fulfilled once the keys have been generated.
+ * 
+ * @function module:signedmsg~SignedMessaging#generateKeys
+ */
+SignedMessaging.prototype.generateKeys = function() {
+	var self = this;
+	
+	return self.subtle.generateKey(algorithms[self.algorithm].key, true, ['sign', 'verify']).then(function(pair) {
+		self.privateKey = pair.privateKey;
+		self.publicKey = pair.publicKey;
+		self.publicKeys.push(pair.publicKey);
+	});
+};
+
+/**
+ * Imports keys in JWK format, as returned by {@link module:signedmsg~SignedMessaging#exportKeys}.
+ * 
+ * @param {object} keys
+ * @param {object} [keys.privateKey]  The private key used for signing.
+ * @param {object} [keys.publicKey]  The corresponding public key, which is also
+ *             accepted for verification.
+ * 
+ * @returns {object} A promise which is fulfilled once the keys have been imported.
+ * 
+ * @function module:signedmsg~SignedMessaging#importKeys
+ */
+SignedMessaging.prototype.importKeys = function(keys) {
+	var self = this;
+	var params = algorithms[self.algorithm].key;
+	
+	return Promise.all([
+		keys.privateKey ? self.subtle.importKey('jwk', keys.privateKey, params, true, ['sign']) : null,
+		keys.publicKey ? self.subtle.importKey('jwk', keys.publicKey, params, true, ['verify']) : null
+	]).then(function(imported) {
+		if (imported[0])
+			self.privateKey = imported[0];
+		
+		if (imported[1]) {
+			self.publicKey = imported[1];
+			self.publicKeys.push(imported[1]);
+		}
+	});
+};
+
+/**
+ * Adds a public key (in JWK format) which is accepted for verification,
+ * e.g. the server’s key.
+ * 
+ * @returns {object} A promise which is fulfilled once the key has been imported.
+ * 
+ * @function module:signedmsg~SignedMessaging#addPublicKey
+ */
+SignedMessaging.prototype.addPublicKey = function(jwk) {
+	var self = this;
+	
+	return self.subtle.importKey('jwk', jwk, algorithms[self.algorithm].key, true, ['verify']).then(function(key) {
+		self.publicKeys.push(key);
+	});
+};
+
+/**
+ * Exports the own keys in JWK format.
+ * 
+ * @returns {object} A promise for <code>{algorithm, privateKey, publicKey}</code>,
+ *             where missing keys are <code>null</code>.
+ * 
+ * @function module:signedmsg~SignedMessaging#exportKeys
+ */
+SignedMessaging.prototype.exportKeys = function() {
+	var self = this;
+	
+	return Promise.all([
+		self.privateKey ? self.subtle.exportKey('jwk', self.privateKey) : null,
+		self.publicKey ? self.subtle.exportKey('jwk', self.publicKey) : null
+	]).then(function(exported) {
+		return {
+			algorithm: self.algorithm,
+			privateKey: exported[0],
+			publicKey: exported[1]
+		};
+	});
+};
+
+/**
+ * Signs a message.
+ * 
+ * @param {object} msg  The message; must be serializable as JSON.
+ * 
+ * @returns {object} A promise for the signed message string.
+ * 
+ * @function module:signedmsg~SignedMessaging#createSignedMessage
+ */
+SignedMessaging.prototype.createSignedMessage = function(msg) {
+	var self = this;
+	
+	if (!self.privateKey)
+		return Promise.reject(new Error('No private key available for signing'));
+	
+	var string = toBase64(utf8Encode(JSON.stringify(msg))) + '#' + new Date().getTime() + '#' + randomNonce(16);
+	
+	return self.subtle.sign(algorithms[self.algorithm].sign, self.privateKey, utf8Encode(string)).then(function(signature) {
+		return string + '~' + toBase64(signature);
+	});
+};
+
+/**
+ * Verifies a signed message.
+ * 
+ * @param {string} msg  A signed message as created by
+ *             {@link module:signedmsg~SignedMessaging#createSignedMessage}.
+ * @param {number} [maxAge]  Overrides <code>this.maxAge</code>.
+ * 
+ * @returns {object} A promise for the original message, or for <code>null</code> if the
+ *             signature is invalid or the message has expired or been replayed.
+ * 
+ * @function module:signedmsg~SignedMessaging#verifySignedMessage
+ */
+SignedMessaging.prototype.verifySignedMessage = function(msg, maxAge) {
+	var self = this;
+	maxAge = typeof maxAge != 'undefined' ? maxAge : self.maxAge;
+	
+	var parts = typeof msg == 'string' ? msg.split('~') : [];
+	var fields = parts.length == 2 ? parts[0].split('#') : [];
+	if (fields.length != 3)
+		return Promise.resolve(null);
+	
+	var now = new Date().getTime();
+	var timestamp = parseInt(fields[1]);
+	var nonce = fields[2];
+	
+	if (!(timestamp > now - maxAge * 1000 && timestamp < now + self.maxClockSkew * 1000))
+		return Promise.resolve(null);
+	
+	var signature, signed = utf8Encode(parts[0]);
+	try {
+		signature = fromBase64(parts[1]);
+	} catch (e) {
+		return Promise.resolve(null);
+	}
+	
+	self.pruneNonces(now);
+	if (self.seenNonces.hasOwnProperty(nonce))
+		return Promise.resolve(null);
+	
+	// reserve the nonce before verifying, so that copies of the message
+	// which are verified concurrently are rejected as replays
+	self.seenNonces[nonce] = timestamp + maxAge * 1000;
+	
+	var release = function() {
+		delete self.seenNonces[nonce];
+		return null;
+	};
+	
+	// try all accepted keys
+	return self.publicKeys.reduce(function(promise, key) {
+		return promise.then(function(valid) {
+			return valid || self.subtle.verify(algorithms[self.algorithm].sign, key, signature, signed);
+		});
+	}, Promise.resolve(false)).then(function(valid) {
+		if (!valid)
+			return release();
+		
+		return JSON.parse(utf8Decode(fromBase64(fields[0])));
+	}, release);
+};
+
+/**
+ * Forgets nonces of messages which have expired anyway.
+ * 
+ * @function module:signedmsg~SignedMessaging#pruneNonces
+ */
+SignedMessaging.prototype.pruneNonces = function(now) {
+	for (var nonce in this.seenNonces)
+		if (this.seenNonces[nonce] < now)
+			delete this.seenNonces[nonce];
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.SignedMessaging = SignedMessaging;
@@ -28,27 +28,100 @@ var dbg = function() {
 	return dbg.apply(this, arguments);
 };
 
+/* loads an export of another module of this package, either via require() or from the global scope */
+var loadModule = function(path, globalName) {
+	if (typeof require == 'function') {
+		try {
+			return require(path)[globalName];
+		} catch (e) {
+			if (e.code != 'MODULE_NOT_FOUND')
+				throw e;
+		}
+	}
+	
+	var scope = typeof window != 'undefined' ? window : (typeof global != 'undefined' ? global : {});
+	if (!scope[globalName])
+		throw new Error(globalName + ' is not available; ' + path.replace(/^\.\//, '') + ' needs to be included');
+	
+	return scope[globalName];
+};
+
+/* modules of this package which are not needed until a connection is created */
+var QueryCache = null;
+var CodecRegistry = null;
+var QueryMetrics = null;
+var EventStream = null;
+
+/* returns whether a string equals one of the given strings or matches one of the given regular expressions */
+var matchesAny = function(patterns, s) {
+	for (var i = 0; i < patterns.length; ++i) {
+		var entry = patterns[i];
+		
+		if (entry instanceof RegExp ? entry.test(s) : entry === s)
+			return true;
+	}
+	
+	return false;
+};
+
+/* creates a deferred object, using Promise.defer() if the implementation provides it */
+var createDeferred = function(P) {
+	if (P.defer)
+		return P.defer();
+	
+	var deferred = {};
+	deferred.promise = new P(function(resolve, reject) {
+		deferred.resolve = resolve;
+		deferred.reject = reject;
+	});
+	
+	return deferred;
+};
+
 var deepCopy = function(obj) {
 	if (!obj || typeof obj !== 'object')
 		return obj;
 	
-	var copy = {};
+	var copy = Array.isArray(obj) ? [] : {};
 	for (var key in obj)
 		if (obj.hasOwnProperty(key))
 			copy[key] = deepCopy(obj[key]);
 	return copy;
 };
 
+/* creates an Error subclass with the given name, calling init for setting up
+ * additional properties (the message is the return value of init) */
+var defineError = function(name, parent, init) {
+	var ErrorType = function() {
+		this.name = name;
+		this.message = init.apply(this, arguments) || name;
+		
+		if (Error.captureStackTrace)
+			Error.captureStackTrace(this, ErrorType);
+		else
+			this.stack = (new Error(this.message)).stack;
+	};
+	
+	ErrorType.prototype = Object.create(parent.prototype);
+	ErrorType.prototype.constructor = ErrorType;
+	
+	return ErrorType;
+};
+
 /**
  * Provides {@link module:sotrade-api~SoTradeConnection}.
  * This module can be directly included or <code>require()</code>'d.
+ * When including it directly, <code>codecs.js</code>, <code>query-cache.js</code>,
+ * <code>metrics.js</code> and <code>transports.js</code> (and <code>event-stream.js</code>
+ * for {@link module:sotrade-api~SoTradeConnection#events}) need to be included as well;
+ * see the <code>main</code> entry of <code>bower.json</code>.
  * 
  * @public
  * @module sotrade-api
  */
 
 /**
- * Wrapper object for an underlying socket.io transport.
+ * Wrapper object for an underlying socket.io (or other) transport.
  * 
  * This object provides an implementation of a stateless request-based protocol
  * on top of the asynchronous event-based socket.io model.
@@ -56,35 +129,187 @@ var deepCopy = function(obj) {
  * It also implements the (Node.js standard) event emitter interface.
  * 
  * @property {function} connect  A callback that returns a socket.io connection instance
- * @property {object} socket  The underlying socket.io connection instance
+ *             or a transport as described in {@link module:transports}.
+ *             Alternatively, a transport can be passed directly as <code>opt.transport</code>.
+ * @property {object} transport  The transport used for communicating with the server
+ * @property {object} socket  The underlying socket.io connection instance (or, for other
+ *             transports, whatever their <code>raw()</code> method returns)
  * @property {function} applyWrap  See {@link module:sotrade-api~SoTradeConnection#externallyCalled}
  * @property {object} listeners  Object with event names as keys and arrays of callbacks
  *             as values. The values of these arrays will be called with
  *             the event data structures when an corresponding event is
  *             received.
+ * @property {object} internalListeners  Event name -> callback for events which this
+ *             object handles itself (e.g. <code>server-config</code>); these are
+ *             invoked before the entries of <code>listeners</code>.
+ * @property {object} forwarders  Event name -> callback registered on the transport,
+ *             for events which are emitted directly by the transport rather than as
+ *             push events or responses.
  * @property {object} pendingIDs  Object with IDs of pending queries as keys and objects
  *             containing information about that query as values. The latter have an
  *             <code>cb</code> entry for a callback that will be triggered when the
  *             reponse arrives and an optional <code>prefill</code> property. If
  *             <code>prefill</code> is given, it should be an object and will be merged
- *             into the response data structure.
+ *             into the response data structure. A <code>timer</code> entry
+ *             holds the handle of the query’s timeout, if any, <code>packet</code>
+ *             holds the query as sent over the wire and <code>sent</code> indicates
+ *             whether it has been written to the socket yet.
  * @property {int} id  Current ID counter, increased for each query
+ * @property {boolean} connected  Whether the underlying socket is currently connected.
+ * @property {string} state  The connection state, one of <code>'connecting'</code>,
+ *             <code>'connected'</code>, <code>'disconnected'</code>, <code>'reconnecting'</code>
+ *             and <code>'closed'</code>. See {@link module:sotrade-api~SoTradeConnection#setState}.
+ * @property {int[]} outbox  IDs of pending queries which have not been sent yet, in the order
+ *             in which they will be sent once the socket is connected.
+ *             See {@link module:sotrade-api~SoTradeConnection#queueLength}.
+ * @property {object} inflight  Object with normalized queries (see
+ *             {@link module:query-cache~QueryCache.keyFor}, combined with their timeout
+ *             and retry policy) as keys and entries of <code>this.pendingIDs</code> as values.
+ * @property {boolean} coalesceQueries  Whether identical idempotent queries issued while
+ *             one of them is still pending are attached to that query instead of being
+ *             sent again. Each attached query is recorded in the <code>followers</code>
+ *             array of the pending query’s entry and receives its own copy of the response.
+ *             Queries with a different <code>_timeout</code> or <code>_retry</code> setting are
+ *             not considered identical, while <code>_reject</code> applies to each caller
+ *             separately. Defaults to <code>true</code>; can be disabled per query by setting
+ *             <code>_no_coalesce</code>.
+ * @property {Array} idempotentTypes  Strings and regular expressions matching the query types which
+ *             may safely be sent more than once, i.e. which have no side effects. Only queries of
+ *             these types are replayed after a reconnect, coalesced and retried; everything else
+ *             (trades, settings changes, messages, …) is sent at most once. Defaults to the
+ *             read-only types, i.e. those starting with <code>get-</code> or <code>list-</code>.
+ *             Can be overridden per query by setting <code>_idempotent</code> to <code>true</code>
+ *             or <code>false</code>.
+ * @property {Array} nonIdempotentTypes  Strings and regular expressions matching query types which
+ *             must not be sent twice even though they match <code>idempotentTypes</code>.
+ *             Defaults to an empty list.
+ * @property {number} batchWindow  If positive, queries sent within this number of milliseconds
+ *             are collected and sent in a single <code>query-container</code> packet.
+ *             Defaults to 0, i.e. only queries issued inside
+ *             {@link module:sotrade-api~SoTradeConnection#batch} are sent this way.
+ * @property {boolean} rejectOnError  Whether to reject the promises of queries whose response
+ *             code indicates failure with a {@link module:sotrade-api~SoTradeConnection.SoTradeError}
+ *             (callbacks still receive the response). Can be overridden per query by setting
+ *             <code>_reject</code>. Defaults to <code>false</code>.
+ * @property {Array} successCodes  Strings and regular expressions matching the response codes
+ *             which indicate success. Defaults to <code>'ok'</code> and all codes ending
+ *             in <code>'-success'</code>.
+ * @property {object} errorTypes  Response code -> error type (e.g. created via
+ *             {@link module:sotrade-api~SoTradeConnection.defineErrorType}) used for rejecting
+ *             queries with that response code.
+ * @property {?object} retryPolicy  The default retry policy for idempotent queries (see
+ *             {@link module:sotrade-api~SoTradeConnection.retryPolicy}), or <code>null</code>
+ *             if failed queries are not retried. Options objects for
+ *             <code>SoTradeConnection.retryPolicy()</code> are accepted as well.
+ * @property {object} retryPolicies  Query type -> retry policy (or <code>null</code>), overriding
+ *             <code>retryPolicy</code> for queries of that type. Can be overridden per query
+ *             by setting <code>_retry</code> to a retry policy or <code>false</code>.
+ * @property {?object} rateLimit  A token bucket (see {@link module:sotrade-api~SoTradeConnection.tokenBucket})
+ *             limiting the rate at which queries are sent, or <code>null</code> for no limit.
+ *             Options objects for <code>SoTradeConnection.tokenBucket()</code> and plain numbers
+ *             (queries per second) are accepted as well.
+ * @property {object} rateLimits  Query type -> token bucket, limiting the rate at which queries of
+ *             that type are sent in addition to <code>rateLimit</code>. Queries held back by
+ *             these do not delay queries of other types.
+ * @property {string[]} priorityClasses  Names of the priority classes, from highest to lowest.
+ *             Queued queries of a higher class are always sent first. Defaults to
+ *             <code>['interactive', 'background']</code>.
+ * @property {object} priorities  Query type -> priority class. Can be overridden per query by
+ *             setting <code>_priority</code>.
+ * @property {string} defaultPriority  The priority class of queries whose type is not listed in
+ *             <code>priorities</code>. Defaults to <code>'interactive'</code>.
+ * @property {?int} maxConcurrency  Maximum number of queries which are sent but not answered yet.
+ *             Defaults to the <code>maxConcurrency</code> entry of the server config, if any;
+ *             see {@link module:sotrade-api~SoTradeConnection#concurrencyLimit}.
+ * @property {?string} cancelQueryType  If the server supports cancelling queries, the type of
+ *             the query which asks it to do so; it receives the ID of the cancelled query as
+ *             <code>query-id</code>. See {@link module:sotrade-api~SoTradeConnection#cancelQuery}.
  * @property {?object} lzma  Optional provider of LZMA decompression.
  *             It should provide the <a href="https://github.com/nmrugg/LZMA-JS">LZMA-JS</a>
  *             interface, i.e. an <code>decompress</code> method as described there.
- * @property {function} protocolVersion  A function returning a currently supported protocol version.
+ *             If given, it is registered as the <code>'lzma'</code> codec in <code>codecs</code>.
+ * @property {object} codecs  A {@link module:codecs~CodecRegistry} with the encodings supported
+ *             for server messages. Can be passed as <code>opt.codecs</code>; defaults to
+ *             {@link module:codecs~CodecRegistry.withDefaults}.
+ * @property {number} compressThreshold  Size (of the JSON representation) in bytes above which
+ *             outgoing queries are compressed, if a codec is available for that (see
+ *             {@link module:sotrade-api~SoTradeConnection#outboundCodec}). Defaults to 8192.
+ * @property {string[]} outboundCodecs  Names of codecs which may be used for compressing
+ *             outgoing queries, in order of preference. Defaults to
+ *             <code>['lzma', 'brotli', 'gzip', 'deflate']</code>.
+ * @property {?string} forceOutboundCodec  A codec to use for compressing outgoing queries
+ *             regardless of whether the server has advertised support for it.
+ * @property {function} protocolVersion  A function returning the protocol version to use, i.e. the
+ *             negotiated one or, before negotiation, the lowest one in <code>protocolVersions</code>.
+ * @property {object} protocolVersions  The range of protocol versions supported by this client,
+ *             as <code>{min, max}</code>. Defaults to <code>{min: 1, max: 1}</code>.
+ * @property {boolean} negotiate  Whether to negotiate the protocol version and features with the
+ *             server after connecting (see {@link module:sotrade-api~SoTradeConnection#handshake}).
+ *             Defaults to <code>false</code>, since servers without support for negotiation do not
+ *             answer the handshake, so that all queries would be delayed by
+ *             <code>negotiationTimeout</code> after each connect.
+ * @property {number} negotiationTimeout  Number of seconds after which a server which has not
+ *             answered the handshake is assumed not to support negotiation. Defaults to 10.
+ * @property {boolean} queueBeforeReady  Whether queries issued before the handshake is complete
+ *             are delayed until then (the default) rather than rejected with a
+ *             {@link module:sotrade-api~SoTradeConnection.NotReadyError}.
+ * @property {?object} protocol  The outcome of the last handshake, as
+ *             <code>{version, capabilities, legacy}</code>, where <code>legacy</code>
+ *             indicates that the server does not support negotiation.
+ * @property {?object} negotiating  A deferred for the handshake in progress, if any.
+ * @property {?int} handshakeID  The ID of the handshake query for the current connection, if any.
+ * @property {object} ready  A promise which is fulfilled once the first handshake has been completed
+ *             and the server config has been received, and rejected if the connection
+ *             is closed before that.
  * @property {?object} Promise  A Promise/A+ implementation (e.g. <code>Promise</code> or <code>$q</code>).
  * @property {?string} clientSoftwareVersion  An optional version identifier for this client.
+ * @property {number} queryTimeout  Default number of seconds after which a pending query
+ *             is considered lost (see {@link module:sotrade-api~SoTradeConnection#failQuery}).
+ *             Can be overridden per query by setting <code>_timeout</code>;
+ *             a value of <code>0</code> disables the timeout. Defaults to 60.
  * @property {function} logDevCheck  A function returning whether to log incoming/outgoing packets
  * @property {function} logSrvCheck  A function returning whether to log server debugging information
  * @property {object} keyStorage  An object providing <code>getKey</code> and <code>setKey</code>
- *             methods for storing the session key.
+ *             methods for storing the session key. These may return promises; see
+ *             {@link module:key-storage~KeyStorage} for ready-made implementations.
+ * @property {object} keyLoaded  A promise which is fulfilled with the stored session key
+ *             once it has been read from <code>keyStorage</code>. Queries issued before
+ *             that are delayed until then.
+ * @property {object} sessions  Session name -> {@link module:sotrade-api~SoTradeSession}
+ *             for all sessions created via {@link module:sotrade-api~SoTradeConnection#as}.
+ * @property {string[]} sessionExpiredCodes  Response codes indicating that the session
+ *             key is invalid or expired; receiving one of them ends the session.
+ *             Defaults to <code>['not-logged-in']</code>.
  * @property {?object} messageSigner  Optional instance of {@link module:signedmsg~SignedMessaging},
  *             used for sending queries with administrative privileges.
+ * @property {?object} messageVerifier  Optional instance of {@link module:signedmsg~SignedMessaging},
+ *             used for verifying signed incoming messages
+ *             (see {@link module:sotrade-api~SoTradeConnection#verifyMessage}).
+ * @property {string[]} signedPushTypes  Types of push events which are discarded unless they are
+ *             signed by a key accepted by <code>messageVerifier</code>.
  * @property {bool} noSignByDefault  Whether not to sign queries by default if <code>messageSigner</code>
  *             is present.
- * @property {object} qCache  Cache of queries, indexed by the JSON representation of the input.
+ * @property {object} qCache  Cache of query responses, an instance of {@link module:query-cache~QueryCache}.
+ *             Either passed as <code>opt.cache</code> or created from the options in
+ *             <code>opt.cacheOptions</code>.
  * @property {?object} serverConfig  The server config as received in an initial event.
+ * @property {object} reconnectPolicy  An object with a <code>delay(attempt)</code> method, which
+ *             returns the number of milliseconds to wait before the <code>attempt</code>-th
+ *             (starting at 1) consecutive reconnect attempt, or <code>null</code> to stop
+ *             reconnecting. A plain function is accepted as well.
+ *             Defaults to {@link module:sotrade-api~SoTradeConnection.exponentialBackoff}
+ *             with its default options.
+ * @property {int} reconnectAttempts  Number of reconnect attempts since the last successful connect.
+ * @property {boolean} autoReconnect  Whether to reconnect automatically after losing the connection.
+ * @property {object[]} interceptors  Objects hooking into the processing of queries and
+ *             incoming messages, in the order in which they are applied.
+ *             See {@link module:sotrade-api~SoTradeConnection#use}.
+ * @property {object} metrics  A {@link module:metrics~QueryMetrics} instance collecting latency,
+ *             size and failure statistics for all queries. Can be passed as <code>opt.metrics</code>.
+ * @property {?object} recorder  An optional {@link module:traffic-recorder~TrafficRecorder}
+ *             which records all packets sent and received, e.g. for replaying them via a
+ *             {@link module:transports~ReplayTransport}. Can be passed as <code>opt.recorder</code>
+ *             or set at any time.
  * @property {int} _txPackets  Number of transmitted packets.
  * @property {int} _rxPackets  Number of received packets.
  * 
@@ -92,16 +317,60 @@ var deepCopy = function(obj) {
  * @constructor module:sotrade-api~SoTradeConnection
  */
 SoTradeConnection = function(opt) {
-	this.connect = opt.connect;
+	this.connect = opt.connect || function() { return opt.transport; };
+	this.transport = null;
 	this.socket = null;
 	this.applyWrap = opt.applyWrap || function(f) { f(); };
 	this.listeners = {}; // listener name -> array of callbacks
+	this.internalListeners = {};
+	this.forwarders = {};
 	this.pendingIDs = {}; // numeric id -> {cb: callback for that id, prefill: object}
 	this.id = 0;
+	this.connected = false;
+	this.state = 'connecting';
+	this.outbox = []; // numeric ids of queries waiting to be sent
+	this.inflight = {}; // normalized query -> entry in pendingIDs
+	this.coalesceQueries = typeof opt.coalesceQueries != 'undefined' ? opt.coalesceQueries : true;
+	this.idempotentTypes = opt.idempotentTypes || [/^get-/, /^list-/];
+	this.nonIdempotentTypes = opt.nonIdempotentTypes || [];
+	this.cancelledIDs = {}; // numeric id -> true for cancelled queries which have been sent
+	this.retrying = {}; // numeric id -> former entry in pendingIDs of a failed query waiting to be retried
+	this.cancelQueryType = opt.cancelQueryType || null;
+	this.retryPolicy = opt.retryPolicy ? normalizeRetryPolicy(opt.retryPolicy) : null;
+	this.retryPolicies = {};
+	for (var type in opt.retryPolicies || {})
+		this.retryPolicies[type] = normalizeRetryPolicy(opt.retryPolicies[type]);
+	this.rateLimit = opt.rateLimit ? normalizeRateLimit(opt.rateLimit) : null;
+	this.rateLimits = {};
+	for (var limitType in opt.rateLimits || {})
+		this.rateLimits[limitType] = normalizeRateLimit(opt.rateLimits[limitType]);
+	this.priorityClasses = opt.priorityClasses || ['interactive', 'background'];
+	this.priorities = opt.priorities || {};
+	this.defaultPriority = opt.defaultPriority || this.priorityClasses[0];
+	this.maxConcurrency = opt.maxConcurrency || null;
+	this.flushTimer = null; // timer for sending queries held back by rate limits
+	this.flushDue = null;
+	this.rejectOnError = opt.rejectOnError || false;
+	this.successCodes = opt.successCodes || [/^ok$/, /-success$/];
+	this.errorTypes = opt.errorTypes || {};
+	this.batchWindow = opt.batchWindow || 0;
+	this.currentBatch = null; // batch for queries issued inside batch()
+	this.windowBatch = null; // batch for queries sent within the batch window
 	this.lzma = opt.lzma || null;
-	this.protocolVersion = function() { return 1; };
+	
+	CodecRegistry = CodecRegistry || loadModule('./codecs.js', 'CodecRegistry');
+	this.codecs = opt.codecs || CodecRegistry.withDefaults();
+	if (this.lzma)
+		this.codecs.register('lzma', CodecRegistry.lzmaCodec(this.lzma));
+	
+	this.compressThreshold = typeof opt.compressThreshold != 'undefined' ? opt.compressThreshold : 8192;
+	this.outboundCodecs = opt.outboundCodecs || ['lzma', 'brotli', 'gzip', 'deflate'];
+	this.forceOutboundCodec = opt.forceOutboundCodec || null;
+	this.protocolVersion = function() { return this.protocol ? this.protocol.version : this.protocolVersions.min; };
+	this.protocolVersions = opt.protocolVersions || {min: 1, max: 1};
 	this.Promise = opt.Promise || (typeof Promise !== 'undefined' ? Promise : null);
 	this.clientSoftwareVersion = opt.clientSoftwareVersion || null;
+	this.queryTimeout = typeof opt.queryTimeout != 'undefined' ? opt.queryTimeout : 60;
 	
 	var logDevCheck = opt.logDevCheck || false, logSrvCheck = opt.logSrvCheck || false;
 	if (logDevCheck === !!logDevCheck) logDevCheck = function() { return opt.logDevCheck; };
@@ -110,15 +379,46 @@ SoTradeConnection = function(opt) {
 	this.logSrvCheck = logSrvCheck;
 	
 	this.keyStorage = opt.keyStorage || SoTradeConnection.defaultKeyStorage();
+	this.sessionExpiredCodes = opt.sessionExpiredCodes || ['not-logged-in'];
 	this.messageSigner = opt.messageSigner || null;
+	this.messageVerifier = opt.messageVerifier || null;
+	this.signedPushTypes = opt.signedPushTypes || [];
 	this.noSignByDefault = opt.noSignByDefault || false;
 	
-	this.qCache = {};
+	QueryCache = QueryCache || loadModule('./query-cache.js', 'QueryCache');
+	this.qCache = opt.cache || new QueryCache(opt.cacheOptions);
+	this.cacheOptions = opt.cacheOptions;
+	this.sessions = {};
 	this.serverConfig = null;
 	
+	this.negotiate = opt.negotiate || false;
+	this.negotiationTimeout = typeof opt.negotiationTimeout != 'undefined' ? opt.negotiationTimeout : 10;
+	this.queueBeforeReady = typeof opt.queueBeforeReady != 'undefined' ? opt.queueBeforeReady : true;
+	this.protocol = null;
+	this.negotiating = this.negotiate ? this.defer() : null;
+	this.handshakeID = null;
+	this.readyDeferred = this.defer();
+	this.ready = this.readyDeferred.promise;
+	this.closeReason = null;
+	
+	var reconnectPolicy = opt.reconnectPolicy || SoTradeConnection.exponentialBackoff();
+	if (typeof reconnectPolicy == 'function')
+		reconnectPolicy = { delay: reconnectPolicy };
+	this.reconnectPolicy = reconnectPolicy;
+	this.reconnectAttempts = 0;
+	this.reconnectTimer = null;
+	this.autoReconnect = true;
+	
+	this.interceptors = (opt.interceptors || []).slice();
+	
+	QueryMetrics = QueryMetrics || loadModule('./metrics.js', 'QueryMetrics');
+	this.metrics = opt.metrics || new QueryMetrics();
+	this.recorder = opt.recorder || null;
+	
 	this._txPackets = 0;
 	this._rxPackets = 0;
 	
+	this.loadKey();
 	this.init();
 };
 
@@ -145,6 +445,287 @@ SoTradeConnection.defaultKeyStorage = function() {
 	};
 };
 
+/**
+ * Creates a reconnect policy (see {@link module:sotrade-api~SoTradeConnection#reconnectPolicy})
+ * with exponentially growing delays.
+ * 
+ * @param {object} [options]
+ * @param {number} [options.initialDelay=2300]  Delay before the first attempt in milliseconds.
+ * @param {number} [options.factor=2]  Factor by which the delay grows with each attempt.
+ * @param {number} [options.maxDelay=60000]  Upper bound for the delay in milliseconds.
+ * @param {number} [options.jitter=0.5]  Fraction of the delay which is randomized, so that
+ *             clients do not reconnect in lockstep after a server outage.
+ * @param {number} [options.maxAttempts=Infinity]  Number of consecutive attempts after which
+ *             reconnecting is given up.
+ * 
+ * @returns {object} A reconnect policy.
+ * 
+ * @function module:sotrade-api~SoTradeConnection.exponentialBackoff
+ */
+SoTradeConnection.exponentialBackoff = function(options) {
+	options = options || {};
+	
+	var initialDelay = typeof options.initialDelay != 'undefined' ? options.initialDelay : 2300;
+	var factor       = typeof options.factor       != 'undefined' ? options.factor       : 2;
+	var maxDelay     = typeof options.maxDelay     != 'undefined' ? options.maxDelay     : 60000;
+	var jitter       = typeof options.jitter       != 'undefined' ? options.jitter       : 0.5;
+	var maxAttempts  = typeof options.maxAttempts  != 'undefined' ? options.maxAttempts  : Infinity;
+	
+	return {
+		delay: function(attempt) {
+			if (attempt > maxAttempts)
+				return null;
+			
+			var delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+			return Math.round(delay * (1 - jitter * Math.random()));
+		}
+	};
+};
+
+/* sets up the properties of a SoTradeError for a response */
+var initResponseError = function(code, response) {
+	this.code = code;
+	this.type = response ? response.type : null;
+	this.id = response ? response['is-reply-to'] : null;
+	this.timing = response ? response._dt : null;
+	this.response = response || null;
+	
+	return 'Query ' + this.id + ' failed with code ' + code;
+};
+
+/**
+ * Creates a retry policy (see {@link module:sotrade-api~SoTradeConnection#retryPolicy}).
+ * 
+ * @param {object} [options]
+ * @param {int} [options.maxAttempts=3]  Maximum number of times a query is sent,
+ *             including the first attempt.
+ * @param {string[]} [options.retryOn]  Error and response codes after which a query is retried.
+ *             Defaults to <code>['query-timeout', 'internal-server-error']</code>.
+ *             (Queries interrupted by a disconnect are sent again after reconnecting anyway,
+ *             see {@link module:sotrade-api~SoTradeConnection#requeueInFlight}.)
+ * @param {function|object} [options.backoff]  A function or object with a <code>delay(attempt)</code>
+ *             method returning the number of milliseconds to wait before retrying after the
+ *             <code>attempt</code>-th attempt. By default, this is created from the remaining
+ *             options via {@link module:sotrade-api~SoTradeConnection.exponentialBackoff},
+ *             with an <code>initialDelay</code> of 500 ms.
+ * 
+ * @returns {object} A retry policy.
+ * 
+ * @function module:sotrade-api~SoTradeConnection.retryPolicy
+ */
+SoTradeConnection.retryPolicy = function(options) {
+	options = options || {};
+	
+	var backoff = options.backoff;
+	if (!backoff) {
+		backoff = SoTradeConnection.exponentialBackoff({
+			initialDelay: typeof options.initialDelay != 'undefined' ? options.initialDelay : 500,
+			factor: options.factor,
+			maxDelay: options.maxDelay,
+			jitter: options.jitter
+		});
+	}
+	
+	return {
+		maxAttempts: options.maxAttempts || 3,
+		retryOn: options.retryOn || ['query-timeout', 'internal-server-error'],
+		delay: typeof backoff == 'function' ? backoff : backoff.delay.bind(backoff)
+	};
+};
+
+/**
+ * Creates a token bucket for limiting the rate at which queries are sent (see
+ * {@link module:sotrade-api~SoTradeConnection#rateLimit}). Each query takes one token;
+ * tokens are refilled continuously at <code>rate</code> per second, up to <code>burst</code>.
+ * A bucket may be shared by several connections.
+ * 
+ * @param {object} options
+ * @param {number} options.rate  Number of queries per second.
+ * @param {number} [options.burst]  Number of queries which may be sent at once after
+ *             a quiet period. Defaults to <code>rate</code>, but at least 1.
+ * 
+ * @returns {object} A token bucket, with <code>delay(now)</code> (milliseconds until a token
+ *             is available) and <code>take(now)</code> methods, where <code>now</code> is a
+ *             timestamp in milliseconds.
+ * 
+ * @function module:sotrade-api~SoTradeConnection.tokenBucket
+ */
+SoTradeConnection.tokenBucket = function(options) {
+	var rate = options.rate;
+	var burst = typeof options.burst != 'undefined' ? options.burst : Math.max(1, rate);
+	var tokens = burst;
+	var last = null;
+	
+	var refill = function(now) {
+		if (last !== null)
+			tokens = Math.min(burst, tokens + (now - last) * rate / 1000);
+		
+		last = now;
+	};
+	
+	return {
+		rate: rate,
+		burst: burst,
+		delay: function(now) {
+			refill(now);
+			return tokens >= 1 ? 0 : Math.ceil((1 - tokens) * 1000 / rate);
+		},
+		take: function(now) {
+			refill(now);
+			tokens--;
+		}
+	};
+};
+
+/**
+ * Base type for errors with which queries are rejected.
+ * Queries whose response has a code indicating failure are rejected with an
+ * instance of this type (or of a subclass configured in
+ * {@link module:sotrade-api~SoTradeConnection#errorTypes}) if
+ * {@link module:sotrade-api~SoTradeConnection#rejectOnError} is set.
+ * 
+ * @param {string} code  The response code.
+ * @param {object} [response]  The response.
+ * 
+ * @property {string} code  The response code.
+ * @property {?string} type  The query type.
+ * @property {?string} id  The full query ID (e.g. <code>'get-ranking--12'</code>).
+ * @property {?object} timing  The timing information of the response (<code>_dt</code>).
+ * @property {?object} response  The response.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.SoTradeError
+ */
+SoTradeConnection.SoTradeError = defineError('SoTradeError', Error, initResponseError);
+
+/**
+ * Creates a subclass of {@link module:sotrade-api~SoTradeConnection.SoTradeError},
+ * e.g. for use in {@link module:sotrade-api~SoTradeConnection#errorTypes}.
+ * Its constructor takes the same arguments.
+ * 
+ * @param {string} name  The name of the new error type.
+ * @param {function} [parent]  The parent type; defaults to
+ *             {@link module:sotrade-api~SoTradeConnection.SoTradeError}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection.defineErrorType
+ */
+SoTradeConnection.defineErrorType = function(name, parent) {
+	return defineError(name, parent || SoTradeConnection.SoTradeError, initResponseError);
+};
+
+/**
+ * Error type for incoming messages whose signature could not be verified, see
+ * {@link module:sotrade-api~SoTradeConnection#verifyMessage}.
+ * 
+ * @property {string} code  Always <code>'invalid-signature'</code>.
+ * @property {string} reason  One of <code>'unsigned'</code> (a signature is required),
+ *             <code>'no-verifier'</code>, <code>'invalid'</code> (the signature is invalid,
+ *             expired or replayed) and <code>'mismatch'</code> (the signed content does not
+ *             match the message’s type or query ID).
+ * @property {object} response  The message.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.SignatureError
+ */
+SoTradeConnection.SignatureError = defineError('SignatureError', SoTradeConnection.SoTradeError, function(reason, data) {
+	initResponseError.call(this, 'invalid-signature', data);
+	this.reason = reason;
+	
+	return 'Could not verify signature of ' + (data['is-reply-to'] || data.type || 'message') + ' (' + reason + ')';
+});
+
+/**
+ * Error type for closing the connection because the server requires a protocol version
+ * which this client does not support (see {@link module:sotrade-api~SoTradeConnection#handshake}).
+ * 
+ * @property {string} code  Always <code>'protocol-unsupported'</code>.
+ * @property {object} supported  The protocol versions supported by the client, as <code>{min, max}</code>.
+ * @property {?object} response  The server’s answer to the handshake, if any.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.ProtocolError
+ */
+SoTradeConnection.ProtocolError = defineError('ProtocolError', SoTradeConnection.SoTradeError, function(supported, response) {
+	initResponseError.call(this, 'protocol-unsupported', response);
+	this.supported = supported;
+	
+	return 'No common protocol version with the server (client supports ' +
+		supported.min + ' to ' + supported.max + ')';
+});
+
+/**
+ * Error type for rejecting queries issued before the protocol has been negotiated,
+ * if {@link module:sotrade-api~SoTradeConnection#queueBeforeReady} is not set.
+ * 
+ * @property {string} code  Always <code>'not-ready'</code>.
+ * @property {string} type  The query type.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.NotReadyError
+ */
+SoTradeConnection.NotReadyError = defineError('NotReadyError', SoTradeConnection.SoTradeError, function(type) {
+	this.code = 'not-ready';
+	this.type = type;
+	
+	return 'Cannot send ' + type + ' query before the protocol has been negotiated';
+});
+
+/**
+ * Error type for rejecting queries which were lost because the server reported an
+ * <code>internal-server-error</code>, if
+ * {@link module:sotrade-api~SoTradeConnection#rejectOnError} is set.
+ * 
+ * @property {string} code  Always <code>'internal-server-error'</code>.
+ * @property {string} type  The query type.
+ * @property {string} id  The full query ID.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.InternalServerError
+ */
+SoTradeConnection.InternalServerError = defineError('InternalServerError', SoTradeConnection.SoTradeError, function(type, id) {
+	this.code = 'internal-server-error';
+	this.type = type;
+	this.id = id;
+	
+	return 'Query ' + id + ' was lost due to an internal server error';
+});
+
+/**
+ * Error type for rejecting queries which did not receive a response
+ * within their timeout.
+ * 
+ * @property {string} code  Always <code>'query-timeout'</code>.
+ * @property {string} type  The query type.
+ * @property {string} id  The full query ID (e.g. <code>'get-ranking--12'</code>).
+ * @property {number} timeout  The timeout that expired, in seconds.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.QueryTimeoutError
+ */
+SoTradeConnection.QueryTimeoutError = defineError('QueryTimeoutError', SoTradeConnection.SoTradeError, function(type, id, timeout) {
+	this.code = 'query-timeout';
+	this.type = type;
+	this.id = id;
+	this.timeout = timeout;
+	
+	return 'Query ' + id + ' timed out after ' + timeout + ' s';
+});
+
+/**
+ * Error type for rejecting queries after the connection has been closed
+ * via {@link module:sotrade-api~SoTradeConnection#close}.
+ * 
+ * @property {string} code  Always <code>'connection-closed'</code>.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeConnection.ConnectionClosedError
+ */
+SoTradeConnection.ConnectionClosedError = defineError('ConnectionClosedError', SoTradeConnection.SoTradeError, function() {
+	this.code = 'connection-closed';
+	
+	return 'Connection has been closed';
+});
+
 /**
  * Return a function which is identical in behaviour to the input function,
  * but which, when called, will be wrapped in whatever was passed as
@@ -180,394 +761,2928 @@ SoTradeConnection.prototype.externallyCalled = function(fn) {
 SoTradeConnection.prototype.init = function() {
 	var self = this;
 	var throwUncaughtException = function(e) {
+		self.notifyError(e, {phase: 'receive'});
 		setTimeout(function() { throw e; }, 0);
 	};
 	
-	self.socket = self.connect();
+	self.transport = loadModule('./transports.js', 'SoTradeTransports').toTransport(self.connect());
+	self.socket = self.transport.raw();
+	self.connected = false;
+	
+	var connected = self.externallyCalled(function() {
+		if (self.state == 'closed' || self.connected)
+			return;
+		
+		var wasReconnect = self.state == 'reconnecting' || self.state == 'disconnected';
+		
+		self.connected = true;
+		if (self.recorder)
+			self.recorder.recordConnection('connect');
+		self.reconnectAttempts = 0;
+		clearTimeout(self.reconnectTimer);
+		self.reconnectTimer = null;
+		
+		self.setState('connected');
+		if (wasReconnect)
+			self.invokeListeners({type: 'reconnected'});
+		
+		self.handshake();
+	});
+	
+	self.transport.on('connect', connected);
 	
-	self.socket.on('response', self.externallyCalled(function(wdata) {
-		self.unwrap(wdata).then(self.responseHandler.bind(self)).catch(throwUncaughtException);
+	self.transport.on('response', self.externallyCalled(function(wdata) {
+		self.receive('response', wdata).then(function(data) {
+			return self.verifyMessage(data).then(function(data) {
+				return self.intercept('response', data, {type: data['is-reply-to'].split('--')[0]});
+			}).then(
+				self.responseHandler.bind(self),
+				function(err) {
+					// an interceptor or the verifier rejected the response, so the query fails
+					var numericID = parseInt(data['is-reply-to'].split('--')[1]);
+					if (!self.failQuery(numericID, err))
+						self.notifyError(err, {phase: 'response', id: data['is-reply-to']});
+				});
+		}).catch(throwUncaughtException);
 	}));
 	
-	self.socket.on('push', self.externallyCalled(function(wdata) {
-		self.unwrap(wdata).then(function(data) {
+	self.transport.on('push', self.externallyCalled(function(wdata) {
+		self.receive('push', wdata).then(function(data) {
 			dbg('in:push', data);
 			
 			self._rxPackets++;
-			self.invokeListeners(data);
+			self.verifyPush(data);
 		}).catch(throwUncaughtException);
 	}));
 	
-	self.socket.on('push-container', self.externallyCalled(function(wdata) {
-		self.unwrap(wdata).then(function(data) {
+	self.transport.on('push-container', self.externallyCalled(function(wdata) {
+		self.receive('push-container', wdata).then(function(data) {
 			if (data.type != 'debug-info') // server debug info only in server debug mode
 				dbg('in:push-container', data);
 			
 			self._rxPackets++;
 			
 			for (var i = 0; i < data.pushes.length; ++i)
-				self.invokeListeners(data.pushes[i]);
+				self.verifyPush(data.pushes[i]);
 		}).catch(throwUncaughtException);
 	}));
 	
-	self.socket.on('disconnect', self.externallyCalled(function(reason) {
-		setTimeout(self.reconnect.bind(self), 2300);
+	self.transport.on('disconnect', self.externallyCalled(function(reason) {
+		self.connected = false;
+		if (self.recorder)
+			self.recorder.recordConnection('disconnect', reason);
+		
+		if (self.state == 'closed')
+			return;
+		
+		// a handshake interrupted by the disconnect will not be answered anymore
+		if (self.handshakeID && self.pendingIDs[self.handshakeID])
+			self.dropPending(self.handshakeID);
+		self.handshakeID = null;
+		
+		self.requeueInFlight();
+		self.setState('disconnected', {reason: reason});
+		self.scheduleReconnect();
 	}));
 	
-	self.on('internal-server-error', self.resetExpectedResponses.bind(self));
+	var connectFailed = self.externallyCalled(function() {
+		if (!self.connected)
+			self.scheduleReconnect();
+	});
+	
+	self.transport.on('connect_error', connectFailed);
+	self.transport.on('connect_timeout', connectFailed);
+	
+	self.internalListeners['internal-server-error'] = self.handleInternalServerError.bind(self);
 	
-	self.on('debug-info', function(data) {
+	self.internalListeners['debug-info'] = function(data) {
 		var args = data.args.slice();
 		args.unshift('dbg');
 		dbg.apply(dbg, args);
-	});
+	};
 	
-	self.on('server-config', function(data) {
+	self.internalListeners['server-config'] = function(data) {
 		self.serverConfig = data.config;
-	});
+		self.checkReady();
+		self.flushQueue();
+	};
+	
+	for (var evname in self.internalListeners)
+		self.forwardTransportEvent(evname);
+	
+	// the transport does not report the initial connect if it is connected already
+	if (self.transport.isConnected() !== false)
+		connected();
 };
 
 /**
- * Return the underlying socket.io connection.
+ * Makes events of a given name which are emitted directly by the transport
+ * (rather than as push events or responses) available to listeners.
+ * Each event is delivered exactly once, regardless of the number of listeners.
  * 
- * @function module:sotrade-api~SoTradeConnection#raw
+ * @param {string} evname  The event name.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#forwardTransportEvent
  */
-SoTradeConnection.prototype.raw = function() {
-	return this.socket;
+SoTradeConnection.prototype.forwardTransportEvent = function(evname) {
+	if (this.forwarders[evname] || evname == '*')
+		return;
+	
+	this.forwarders[evname] = this.externallyCalled(function() {
+		this.callListeners(evname, Array.prototype.slice.call(arguments));
+	});
+	
+	this.transport.on(evname, this.forwarders[evname]);
 };
 
 /**
- * Marks all pending queries as possibly unanswered.
- * For example, this can be called in case of a server-side error
- * which may result in a query not returning an answer.
+ * Removes the transport listener set up by
+ * {@link module:sotrade-api~SoTradeConnection#forwardTransportEvent}, unless
+ * it is still needed.
  * 
- * @function module:sotrade-api~SoTradeConnection#resetExpectedResponses
+ * @function module:sotrade-api~SoTradeConnection#unforwardTransportEvent
  */
-SoTradeConnection.prototype.resetExpectedResponses = function() {
-	for (var i in this.pendingIDs)
-		if (this.pendingIDs[i])
-			this.pendingIDs[i]._expect_no_response = true;
+SoTradeConnection.prototype.unforwardTransportEvent = function(evname) {
+	if (!this.forwarders[evname] || this.internalListeners[evname] || this.listenerCount(evname) > 0)
+		return;
+	
+	this.transport.removeListener(evname, this.forwarders[evname]);
+	delete this.forwarders[evname];
 };
 
 /**
- * Forces a reconnect of the underlying socket.
+ * Updates <code>this.state</code> and notifies listeners about the change.
  * 
- * @function module:sotrade-api~SoTradeConnection#reconnect
+ * A <code>'state-change'</code> event with <code>from</code> and <code>to</code>
+ * properties is emitted for every change. Additionally, entering the
+ * <code>'connected'</code>, <code>'disconnected'</code> or <code>'closed'</code> states
+ * emits an event of that name.
+ * 
+ * @param {string} state  The new state.
+ * @param {object} [info]  Additional properties for the emitted events.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#setState
  */
-SoTradeConnection.prototype.reconnect = function() {
-	this.resetExpectedResponses();
+SoTradeConnection.prototype.setState = function(state, info) {
+	var previous = this.state;
+	if (previous == state)
+		return;
+	
+	dbg('State change', previous, state);
+	this.state = state;
 	
-	this.socket.connect(null, 'forceNew');
+	var ev = {type: 'state-change', from: previous, to: state};
+	for (var i in info)
+		ev[i] = info[i];
+	this.invokeListeners(ev);
+	
+	if (state == 'connected' || state == 'disconnected' || state == 'closed') {
+		ev = {type: state};
+		for (var j in info)
+			ev[j] = info[j];
+		this.invokeListeners(ev);
+	}
 };
 
 /**
- * Returns true if there any pending queries, i.e. entries in
- * <code>this.pendingIDs</code> which are not marked as not expecting a response.
+ * Shuts down the connection: Automatic reconnecting is stopped, the underlying
+ * socket is disconnected and all pending queries fail with a
+ * {@link module:sotrade-api~SoTradeConnection.ConnectionClosedError}, as do
+ * all queries issued afterwards.
  * 
- * @function module:sotrade-api~SoTradeConnection#hasOpenQueries
+ * @param {Error} [err]  The reason for closing the connection, which is used
+ *             instead of a <code>ConnectionClosedError</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#close
  */
-SoTradeConnection.prototype.hasOpenQueries = function() {
+SoTradeConnection.prototype.close = function(err) {
+	if (this.state == 'closed')
+		return;
+	
+	this.closeReason = err || null;
+	this.stopReconnecting();
+	this.connected = false;
+	this.setState('closed');
+	
+	this.transport.disconnect();
+	
 	for (var i in this.pendingIDs)
-		if (this.pendingIDs[i] && !this.pendingIDs[i]._expect_no_response)
-			return true;
+		this.failQuery(parseInt(i), err || new SoTradeConnection.ConnectionClosedError());
 	
-	return false;
+	var retrying = this.retrying;
+	this.retrying = {};
+	for (var j in retrying) {
+		clearTimeout(retrying[j].retryTimer);
+		this.resendQuery(retrying[j]); // fails right away, since the connection is closed
+	}
+	
+	if (this.negotiating) {
+		this.negotiating.reject(err || new SoTradeConnection.ConnectionClosedError());
+		this.negotiating = null;
+	}
+	
+	if (this.readyDeferred) {
+		this.readyDeferred.reject(err || new SoTradeConnection.ConnectionClosedError());
+		this.readyDeferred = null;
+	}
 };
 
 /**
- * Invoke all listeners for a given set of incoming data.
- * This includes all listeners which listen on any event (<code>'*'</code>),
- * which listen for this kind of event/response, and which wait for this
- * specific response.
+ * Return the underlying socket.io connection (or, for other transports,
+ * the underlying connection object).
  * 
- * @param {object} data  The incoming data object. Here, only <code>data.type</code> is used.
- * @param {?object} waitentry  An entry in <code>this.pendingIDs</code>, for example.
+ * @function module:sotrade-api~SoTradeConnection#raw
+ */
+SoTradeConnection.prototype.raw = function() {
+	return this.socket;
+};
+
+/**
+ * Creates a deferred object using <code>this.Promise</code>. Its promise is
+ * marked as handled, so that rejecting it without anyone waiting for it is harmless.
  * 
- * @function module:sotrade-api~SoTradeConnection#invokeListeners
+ * @function module:sotrade-api~SoTradeConnection#defer
  */
-SoTradeConnection.prototype.invokeListeners = function(data, waitentry) {
-	var listener = (waitentry && waitentry.cb) || function() {};
+SoTradeConnection.prototype.defer = function() {
+	var deferred = createDeferred(this.Promise);
+	deferred.promise.then(null, function() {});
 	
-	var type = data.type;
+	return deferred;
+};
+
+/**
+ * Returns the capabilities which this client advertises during the handshake.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#clientCapabilities
+ */
+SoTradeConnection.prototype.clientCapabilities = function() {
+	return {
+		codecs: this.codecs.names(),
+		batching: true,
+		cancellation: !!this.cancelQueryType,
+		signing: !!this.messageSigner
+	};
+};
+
+/**
+ * Negotiates the protocol version and the optional features with the server after
+ * (re-)connecting. This sends a <code>client-hello</code> query with the supported
+ * <code>protocol</code> versions (<code>{min, max}</code>) and the client’s
+ * <code>capabilities</code>; the server is expected to answer with a successful
+ * response code, the chosen <code>protocol</code> version and its own
+ * <code>capabilities</code>, e.g. <code>{batching: true, cancellation: true,
+ * codecs: ['gzip']}</code>.
+ * 
+ * Until the handshake is complete, no other queries are sent, and queries issued in
+ * the meantime are delayed (or rejected, see
+ * {@link module:sotrade-api~SoTradeConnection#queueBeforeReady}).
+ * If negotiation is disabled, this only sends the queries waiting in the outbox.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#handshake
+ */
+SoTradeConnection.prototype.handshake = function() {
+	var self = this;
 	
-	// general listeners
-	var listeners = (this.listeners[type] || []).concat(this.listeners['*'] || []);
+	if (!self.negotiate)
+		return self.flushQueue();
 	
-	for (var i = 0; i < listeners.length; ++i) 
-		if (listeners[i])
-			listeners[i](data);
+	if (self.handshakeID) // already done for the current connection
+		return;
 	
-	// specific listener
-	listener(data);
+	self.negotiating = self.negotiating || self.defer();
 	
-	// deferred promise
-	if (waitentry && waitentry.deferred)
-		waitentry.deferred.resolve(data);
+	self.emit('client-hello', {
+		protocol: {min: self.protocolVersions.min, max: self.protocolVersions.max},
+		capabilities: self.clientCapabilities(),
+		_handshake: true,
+		_idempotent: false,
+		_reject: false,
+		_timeout: self.negotiationTimeout,
+		__dont_sign__: true
+	}).then(function(response) {
+		self.completeHandshake(response);
+	}, function(err) {
+		self.completeHandshake(null, err);
+	});
+	
+	self.handshakeID = self.id; // as assigned by emit()
 };
 
 /**
- * Handle incoming data.
- * This includes saving a received session key (e.g. after login), merging in any
- * pre-filled data from the original query, adding timing information and
- * invoking any listeners for the event.
+ * Evaluates the server’s answer to the handshake.
  * 
- * @function module:sotrade-api~SoTradeConnection#responseHandler
+ * Servers which do not answer it successfully are assumed to use protocol version 1
+ * and to support none of the optional features, which are then not used (see
+ * {@link module:sotrade-api~SoTradeConnection#serverSupports}). If there is no common
+ * protocol version, the connection is closed with a
+ * {@link module:sotrade-api~SoTradeConnection.ProtocolError}.
+ * Otherwise, a <code>negotiated</code> event with <code>protocol</code>,
+ * <code>capabilities</code> and <code>legacy</code> properties is emitted
+ * and the queued queries are sent.
+ * 
+ * @param {?object} response  The server’s response, if any.
+ * @param {Error} [err]  The reason for the handshake failing, if it did.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#completeHandshake
  */
-SoTradeConnection.prototype.responseHandler = function(data) {
-	var rid = data['is-reply-to'].split('--');
-	var type = rid[0];
-	if ((type == 'login' || data.code == 'login-success' || type == 'register' || (data.code && data.code.match(/^reg-/))) && data.key)
-		this.setKey(data.key);
+SoTradeConnection.prototype.completeHandshake = function(response, err) {
+	if (!this.negotiating || !this.connected) // a new handshake follows after reconnecting
+		return;
 	
-	data.type = type;
+	var legacy = !response || !this.isSuccessCode(response.code) || typeof response.protocol == 'undefined';
+	var version = legacy ? 1 : response.protocol;
+	var range = this.protocolVersions;
 	
-	var numericID = parseInt(rid[1]);
-	var waitentry = this.pendingIDs[numericID];
+	var refused = response && response.code == 'protocol-unsupported';
+	if (refused || version < range.min || version > range.max)
+		return this.close(new SoTradeConnection.ProtocolError(range, response));
 	
-	if (waitentry) {
-		for (var i in waitentry.prefill) 
-			if (typeof data[i] == 'undefined')
-				data[i] = waitentry.prefill[i];
-	}
+	if (legacy)
+		dbg('Server does not support protocol negotiation', err || response.code);
 	
-	var _t = data._t;
+	this.protocol = {
+		version: version,
+		capabilities: (!legacy && response.capabilities) || {},
+		legacy: legacy
+	};
 	
-	_t.csend = data._t_csend; delete data._t_csend; // comes from waitentry.prefill
-	_t.sdone = data._t_sdone; delete data._t_sdone; // comes from server
-	_t.srecv = data._t_srecv; delete data._t_srecv; // comes from server
-
-	data._dt = {
-		cdelta:   _t.crecv - _t.csend,
+	var negotiating = this.negotiating;
+	this.negotiating = null;
+	
+	this.invokeListeners({
+		type: 'negotiated',
+		protocol: version,
+		capabilities: this.protocol.capabilities,
+		legacy: legacy
+	});
+	
+	this.flushQueue();
+	negotiating.resolve(this.protocol);
+	this.checkReady();
+};
+
+/**
+ * Returns whether the server supports an optional feature, according to the
+ * capabilities it reported during the handshake. If negotiation is disabled,
+ * all features are assumed to be supported.
+ * 
+ * @param {string} feature  E.g. <code>'batching'</code> or <code>'cancellation'</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#serverSupports
+ */
+SoTradeConnection.prototype.serverSupports = function(feature) {
+	if (!this.negotiate)
+		return true;
+	
+	return !!(this.protocol && this.protocol.capabilities[feature]);
+};
+
+/**
+ * Fulfills <code>this.ready</code> once the first handshake has been completed
+ * and the server config has been received.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#checkReady
+ */
+SoTradeConnection.prototype.checkReady = function() {
+	if (!this.readyDeferred || !this.serverConfig || (this.negotiate && !this.protocol))
+		return;
+	
+	this.readyDeferred.resolve({protocol: this.protocol, config: this.serverConfig});
+	this.readyDeferred = null;
+};
+
+/**
+ * Handles an <code>internal-server-error</code> event: Queries which have been sent
+ * and which are to be rejected on errors (see
+ * {@link module:sotrade-api~SoTradeConnection#rejectOnError}) or retried (see
+ * {@link module:sotrade-api~SoTradeConnection#retryPolicy}) fail with an
+ * {@link module:sotrade-api~SoTradeConnection.InternalServerError}; all other
+ * pending queries are marked as possibly unanswered.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#handleInternalServerError
+ */
+SoTradeConnection.prototype.handleInternalServerError = function() {
+	var lost = [];
+	
+	for (var i in this.pendingIDs) {
+		var waitentry = this.pendingIDs[i];
+		
+		var canFail = waitentry.rejectOnError || this.shouldRetry(waitentry, 'internal-server-error');
+		if (canFail && waitentry.sent && !waitentry._expect_no_response)
+			lost.push(parseInt(i));
+		else
+			waitentry._expect_no_response = true;
+	}
+	
+	for (var j = 0; j < lost.length; ++j) {
+		var type = this.pendingIDs[lost[j]].type;
+		this.failQuery(lost[j], new SoTradeConnection.InternalServerError(type, type + '--' + lost[j]));
+	}
+};
+
+/**
+ * Marks all pending queries as possibly unanswered.
+ * For example, this can be called in case of a server-side error
+ * which may result in a query not returning an answer.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#resetExpectedResponses
+ */
+SoTradeConnection.prototype.resetExpectedResponses = function() {
+	for (var i in this.pendingIDs)
+		if (this.pendingIDs[i])
+			this.pendingIDs[i]._expect_no_response = true;
+};
+
+/**
+ * Puts all queries which have been sent but not answered yet back into the outbox,
+ * so that they are sent again once the socket is (re-)connected.
+ * Queries which are not idempotent are not requeued but rather marked as
+ * possibly unanswered.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#requeueInFlight
+ */
+SoTradeConnection.prototype.requeueInFlight = function() {
+	var now = new Date().getTime();
+	
+	for (var i in this.pendingIDs) {
+		var waitentry = this.pendingIDs[i];
+		if (!waitentry || !waitentry.sent)
+			continue;
+		
+		if (!waitentry.idempotent) {
+			waitentry._expect_no_response = true;
+			continue;
+		}
+		
+		dbg('Requeueing in-flight query', i);
+		waitentry.sent = false;
+		waitentry.qtime = now;
+		this.outbox.push(parseInt(i));
+	}
+	
+	this.outbox.sort(function(a, b) { return a - b; });
+};
+
+/**
+ * Forces a reconnect of the underlying socket.
+ * Queries which have not been answered yet will be sent again after reconnecting,
+ * if possible (see {@link module:sotrade-api~SoTradeConnection#requeueInFlight}).
+ * 
+ * @function module:sotrade-api~SoTradeConnection#reconnect
+ */
+SoTradeConnection.prototype.reconnect = function() {
+	this.requeueInFlight();
+	
+	this.transport.connect();
+};
+
+/**
+ * Schedules the next automatic reconnect attempt according to
+ * <code>this.reconnectPolicy</code>, unless one is already scheduled
+ * or automatic reconnecting has been stopped.
+ * 
+ * This emits a <code>'reconnect-scheduled'</code> event (with <code>attempt</code>
+ * and <code>delay</code> properties) and, when the attempt is made, a
+ * <code>'reconnect-attempt'</code> event (with an <code>attempt</code> property).
+ * If the policy gives up, the connection enters the <code>'disconnected'</code> state
+ * (if it is not in that state already) and a <code>'reconnect-failed'</code> event
+ * (with an <code>attempts</code> property) is emitted instead.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#scheduleReconnect
+ */
+SoTradeConnection.prototype.scheduleReconnect = function() {
+	if (!this.autoReconnect || this.reconnectTimer)
+		return;
+	
+	var attempt = this.reconnectAttempts + 1;
+	var delay = this.reconnectPolicy.delay(attempt);
+	
+	if (delay === null || typeof delay == 'undefined' || delay < 0) {
+		dbg('Giving up reconnecting after', this.reconnectAttempts, 'attempts');
+		this.setState('disconnected', {reason: 'reconnect-failed'});
+		return this.invokeListeners({type: 'reconnect-failed', attempts: this.reconnectAttempts});
+	}
+	
+	dbg('Reconnect attempt', attempt, 'in', delay, 'ms');
+	this.invokeListeners({type: 'reconnect-scheduled', attempt: attempt, delay: delay});
+	
+	this.reconnectTimer = setTimeout(this.externallyCalled(function() {
+		this.reconnectTimer = null;
+		this.attemptReconnect();
+	}), delay);
+};
+
+/**
+ * Performs a reconnect attempt and emits a <code>'reconnect-attempt'</code> event.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#attemptReconnect
+ */
+SoTradeConnection.prototype.attemptReconnect = function() {
+	var attempt = ++this.reconnectAttempts;
+	
+	this.setState('reconnecting');
+	this.invokeListeners({type: 'reconnect-attempt', attempt: attempt});
+	this.reconnect();
+};
+
+/**
+ * Cancels any scheduled reconnect attempt and reconnects immediately.
+ * This also re-enables automatic reconnecting if it has been stopped.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#reconnectNow
+ */
+SoTradeConnection.prototype.reconnectNow = function() {
+	if (this.state == 'closed')
+		return;
+	
+	clearTimeout(this.reconnectTimer);
+	this.reconnectTimer = null;
+	this.autoReconnect = true;
+	
+	this.attemptReconnect();
+};
+
+/**
+ * Cancels any scheduled reconnect attempt and disables automatic reconnecting
+ * until {@link module:sotrade-api~SoTradeConnection#reconnectNow} is called.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#stopReconnecting
+ */
+SoTradeConnection.prototype.stopReconnecting = function() {
+	clearTimeout(this.reconnectTimer);
+	this.reconnectTimer = null;
+	this.autoReconnect = false;
+};
+
+/**
+ * Returns true if there any pending queries, i.e. entries in
+ * <code>this.pendingIDs</code> which are not marked as not expecting a response.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#hasOpenQueries
+ */
+SoTradeConnection.prototype.hasOpenQueries = function() {
+	for (var i in this.pendingIDs)
+		if (this.pendingIDs[i] && !this.pendingIDs[i]._expect_no_response)
+			return true;
+	
+	return false;
+};
+
+/**
+ * Removes a pending query from <code>this.pendingIDs</code> and the outbox,
+ * without settling it.
+ * 
+ * @param {int} numericID  The numeric ID of the pending query.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#dropPending
+ */
+SoTradeConnection.prototype.dropPending = function(numericID) {
+	var waitentry = this.pendingIDs[numericID];
+	
+	delete this.pendingIDs[numericID];
+	clearTimeout(waitentry.timer);
+	this.releaseInflight(waitentry);
+	
+	var queueIndex = this.outbox.indexOf(numericID);
+	if (queueIndex != -1)
+		this.outbox.splice(queueIndex, 1);
+	
+	this.releaseBatch(waitentry);
+	
+	if (waitentry.sent)
+		this.releaseSlot();
+};
+
+/**
+ * Abandons a query whose <code>AbortSignal</code> has been aborted: Its promise is
+ * rejected with <code>err</code> and its callback will not be invoked.
+ * If no other caller waits for the response (see
+ * {@link module:sotrade-api~SoTradeConnection#coalesceQueries}), the query is
+ * removed from <code>this.pendingIDs</code>, a response arriving later is ignored and,
+ * if <code>this.cancelQueryType</code> is set, the server supports cancellation and
+ * the query has already been sent, the server is asked to cancel it.
+ * 
+ * @param {object} waitentry  The entry in <code>this.pendingIDs</code>.
+ * @param {object} entry  Either <code>waitentry</code> or one of its followers.
+ * @param {Error} err  The reason for cancelling the query.
+ * 
+ * @returns {boolean} Whether the query was still pending.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#cancelQuery
+ */
+SoTradeConnection.prototype.cancelQuery = function(waitentry, entry, err) {
+	if (this.pendingIDs[waitentry.numericID] !== waitentry || entry.cancelled)
+		return false;
+	
+	var index = waitentry.followers.indexOf(entry);
+	if (entry !== waitentry && index == -1)
+		return false;
+	
+	entry.cancelled = true;
+	entry.cb = function() {};
+	entry.deferred.reject(err);
+	
+	if (index != -1)
+		waitentry.followers.splice(index, 1);
+	
+	// the response may still be needed by other callers
+	if (!waitentry.cancelled || waitentry.followers.length > 0)
+		return true;
+	
+	dbg('Cancelling query', waitentry.numericID);
+	this.dropPending(waitentry.numericID);
+	
+	if (waitentry.sent) {
+		this.cancelledIDs[waitentry.numericID] = true;
+		
+		if (this.cancelQueryType && this.serverSupports('cancellation')) {
+			this.emit(this.cancelQueryType, {
+				'query-id': waitentry.type + '--' + waitentry.numericID,
+				_expect_no_response: true,
+				_idempotent: false,
+				_no_coalesce: true
+			}).then(null, function() {}); // failing on close() is irrelevant here
+		}
+	}
+	
+	return true;
+};
+
+/**
+ * Removes a pending query from <code>this.pendingIDs</code> and settles it as failed:
+ * The query’s callback is invoked with a response object whose <code>code</code>
+ * is the error’s code and whose <code>_error</code> property is the error itself,
+ * and its promise is rejected with the error.
+ * A response arriving later for that query will not be passed to its callback.
+ * If the query’s retry policy applies to the error code, it is retried instead
+ * (see {@link module:sotrade-api~SoTradeConnection#retryQuery}).
+ * 
+ * @param {int} numericID  The numeric ID of the pending query.
+ * @param {Error} err  The reason for failing the query.
+ * 
+ * @returns {boolean} Whether there was a pending query with that ID.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#failQuery
+ */
+SoTradeConnection.prototype.failQuery = function(numericID, err) {
+	var waitentry = this.pendingIDs[numericID];
+	if (!waitentry)
+		return false;
+	
+	if (this.retryQuery(numericID, err.code))
+		return true;
+	
+	dbg('Failing query', numericID, err);
+	
+	this.notifyError(err, {phase: 'query', type: waitentry.type, id: waitentry.type + '--' + numericID});
+	this.metrics.recordFailure(waitentry.type, err);
+	this.dropPending(numericID);
+	
+	var entries = [waitentry].concat(waitentry.followers);
+	for (var j = 0; j < entries.length; ++j) {
+		var data = {
+			type: waitentry.type,
+			code: err.code || 'error',
+			'is-reply-to': waitentry.type + '--' + numericID,
+			_error: err
+		};
+		
+		for (var i in entries[j].prefill) 
+			if (typeof data[i] == 'undefined')
+				data[i] = entries[j].prefill[i];
+		
+		entries[j].cb(data);
+		
+		if (entries[j].deferred)
+			entries[j].deferred.reject(err);
+	}
+	
+	return true;
+};
+
+/**
+ * Removes a pending query from <code>this.inflight</code>, so that identical
+ * queries issued afterwards are sent to the server again.
+ * 
+ * @param {object} waitentry  An entry in <code>this.pendingIDs</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#releaseInflight
+ */
+SoTradeConnection.prototype.releaseInflight = function(waitentry) {
+	if (waitentry.qkey && this.inflight[waitentry.qkey] === waitentry)
+		delete this.inflight[waitentry.qkey];
+};
+
+/* turns options for SoTradeConnection.retryPolicy() into a retry policy */
+var normalizeRetryPolicy = function(policy) {
+	if (!policy || typeof policy.delay == 'function')
+		return policy || null;
+	
+	return SoTradeConnection.retryPolicy(policy);
+};
+
+/**
+ * Returns the retry policy for a query, or <code>null</code> if it is not to be retried.
+ * Queries which are not idempotent are never retried.
+ * 
+ * @param {string} type  A query type.
+ * @param {object} data  The query payload.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#retryPolicyFor
+ */
+SoTradeConnection.prototype.retryPolicyFor = function(type, data) {
+	if (!this.isIdempotent(type, data))
+		return null;
+	
+	if (typeof data._retry != 'undefined')
+		return normalizeRetryPolicy(data._retry);
+	
+	if (this.retryPolicies.hasOwnProperty(type))
+		return this.retryPolicies[type];
+	
+	return this.retryPolicy;
+};
+
+/* turns a number or options for SoTradeConnection.tokenBucket() into a token bucket */
+var normalizeRateLimit = function(limit) {
+	if (!limit || typeof limit.take == 'function')
+		return limit || null;
+	
+	return SoTradeConnection.tokenBucket(typeof limit == 'number' ? {rate: limit} : limit);
+};
+
+/**
+ * Returns the priority class of a query.
+ * 
+ * @param {string} type  A query type.
+ * @param {object} data  The query payload. If it has a <code>_priority</code>
+ *             entry, that value takes precedence over the query type.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#priorityFor
+ */
+SoTradeConnection.prototype.priorityFor = function(type, data) {
+	if (data._priority)
+		return data._priority;
+	
+	if (this.priorities.hasOwnProperty(type))
+		return this.priorities[type];
+	
+	return this.defaultPriority;
+};
+
+/**
+ * Returns the rank of a priority class, where 0 is the highest one.
+ * Unknown classes rank below all classes in <code>this.priorityClasses</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#priorityRank
+ */
+SoTradeConnection.prototype.priorityRank = function(priority) {
+	var rank = this.priorityClasses.indexOf(priority);
+	
+	return rank == -1 ? this.priorityClasses.length : rank;
+};
+
+/**
+ * Returns the number of milliseconds for which a query of a given type
+ * has to wait due to <code>this.rateLimit</code> and <code>this.rateLimits</code>.
+ * 
+ * @param {string} type  A query type.
+ * @param {number} now  The current timestamp in milliseconds.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#rateLimitDelay
+ */
+SoTradeConnection.prototype.rateLimitDelay = function(type, now) {
+	var delay = this.rateLimit ? this.rateLimit.delay(now) : 0;
+	
+	if (this.rateLimits.hasOwnProperty(type) && this.rateLimits[type])
+		delay = Math.max(delay, this.rateLimits[type].delay(now));
+	
+	return delay;
+};
+
+/**
+ * Returns whether a pending query is to be retried after a failure with a given code.
+ * 
+ * @param {object} waitentry  An entry in <code>this.pendingIDs</code>.
+ * @param {string} code  The error or response code.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#shouldRetry
+ */
+SoTradeConnection.prototype.shouldRetry = function(waitentry, code) {
+	var policy = waitentry.retry;
+	
+	return !!policy && waitentry.idempotent && waitentry.attempt < policy.maxAttempts &&
+		policy.retryOn.indexOf(code) != -1;
+};
+
+/**
+ * Removes a failed query from <code>this.pendingIDs</code> and schedules sending it
+ * again under a new ID, if its retry policy allows this and the connection has not been
+ * closed. The original promise, callback and <code>_prefill</code> data are kept. Until
+ * the query is sent again, it is kept in <code>this.retrying</code>, so that
+ * {@link module:sotrade-api~SoTradeConnection#close} fails it right away.
+ * A <code>query-retry</code> event with the <code>id</code> of the failed query, the upcoming <code>attempt</code>,
+ * the <code>delay</code> in milliseconds and the failure <code>code</code> is emitted.
+ * 
+ * @param {int} numericID  The numeric ID of the failed query.
+ * @param {string} code  The error or response code of the failure.
+ * 
+ * @returns {boolean} Whether the query will be retried.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#retryQuery
+ */
+SoTradeConnection.prototype.retryQuery = function(numericID, code) {
+	var waitentry = this.pendingIDs[numericID];
+	if (!waitentry || this.state == 'closed' || !this.shouldRetry(waitentry, code))
+		return false;
+	
+	var delay = waitentry.retry.delay(waitentry.attempt);
+	if (delay === null)
+		return false;
+	
+	dbg('Retrying query', numericID, 'after', delay, 'ms');
+	
+	this.dropPending(numericID);
+	this.retrying[numericID] = waitentry;
+	waitentry.retryTimer = setTimeout(this.externallyCalled(function() {
+		if (this.retrying[numericID] !== waitentry) // failed by close() in the meantime
+			return;
+		
+		delete this.retrying[numericID];
+		this.resendQuery(waitentry);
+	}), delay);
+	
+	this.invokeListeners({
+		type: 'query-retry',
+		id: waitentry.type + '--' + numericID,
+		attempt: waitentry.attempt + 1,
+		delay: delay,
+		code: code
+	});
+	
+	return true;
+};
+
+/**
+ * Sends a query again under a new ID, settling the original query’s promise and
+ * callback (and those of callers waiting for the same response) with the result.
+ * The query is rebuilt from the payload as passed to
+ * {@link module:sotrade-api~SoTradeConnection#emit}, so that e.g. the current
+ * session key is used.
+ * 
+ * @param {object} waitentry  The former entry of the query in <code>this.pendingIDs</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#resendQuery
+ */
+SoTradeConnection.prototype.resendQuery = function(waitentry) {
+	var self = this;
+	var followers = waitentry.followers;
+	var followerData = [];
+	
+	var data = deepCopy(waitentry.original);
+	data._prefill = waitentry.prefill;
+	data._priority = waitentry.priority;
+	data._retry = waitentry.retry;
+	data._attempt = waitentry.attempt + 1;
+	data._reject = waitentry.rejectOnError;
+	if (waitentry.signal)
+		data._signal = waitentry.signal;
+	if (waitentry.session !== self)
+		data._session = waitentry.session.name;
+	
+	self.emit(waitentry.type, data, function(response) {
+		waitentry.cb(response);
+		
+		for (var i = 0; i < followers.length; ++i) {
+			followerData[i] = deepCopy(response);
+			self.completeResponse(followerData[i], followers[i]);
+			followers[i].cb(followerData[i]);
+		}
+	}).then(function(response) {
+		waitentry.deferred.resolve(response);
+		
+		for (var i = 0; i < followers.length; ++i)
+			self.settleQuery(followers[i], followerData[i]);
+	}, function(err) {
+		waitentry.deferred.reject(err);
+		
+		for (var i = 0; i < followers.length; ++i)
+			followers[i].deferred.reject(err);
+	});
+};
+
+/**
+ * Returns whether queries of a given type may safely be sent more than once.
+ * 
+ * @param {string} type  A query type.
+ * @param {object} [data]  The query payload. If it has an <code>_idempotent</code>
+ *             entry, that value takes precedence over the query type.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#isIdempotent
+ */
+SoTradeConnection.prototype.isIdempotent = function(type, data) {
+	if (data && typeof data._idempotent != 'undefined')
+		return !!data._idempotent;
+	
+	return matchesAny(this.idempotentTypes, type) && !matchesAny(this.nonIdempotentTypes, type);
+};
+
+/**
+ * Puts a pending query into the outbox and sends it right away if the scheduler
+ * permits it (see {@link module:sotrade-api~SoTradeConnection#flushQueue}).
+ * The handshake is sent immediately once the socket is connected.
+ * 
+ * @param {int} numericID  The numeric ID of the pending query.
+ * @param {object} packet  The query as it should be sent over the wire.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#transmit
+ */
+SoTradeConnection.prototype.transmit = function(numericID, packet) {
+	var waitentry = this.pendingIDs[numericID];
+	if (!waitentry) // already failed, e.g. due to a timeout
+		return;
+	
+	waitentry.packet = packet;
+	
+	if (this.state == 'closed')
+		return this.failQuery(numericID, this.closeReason || new SoTradeConnection.ConnectionClosedError());
+	
+	if (this.connected && waitentry.handshake)
+		return this.sendPending(waitentry);
+	
+	waitentry.qtime = new Date().getTime();
+	this.outbox.push(numericID);
+	this.flushQueue();
+	
+	if (!waitentry.sent && this.outbox.indexOf(numericID) != -1)
+		dbg('Queueing query', numericID);
+};
+
+/**
+ * Writes a pending query to the socket.
+ * 
+ * @param {object} waitentry  An entry in <code>this.pendingIDs</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#sendPending
+ */
+SoTradeConnection.prototype.sendPending = function(waitentry) {
+	if (waitentry.handshake)
+		return this.writePackets([waitentry]);
+	
+	var batch = waitentry.batch;
+	
+	if (!batch && this.batchWindow > 0) {
+		if (!this.windowBatch || this.windowBatch.flushed) {
+			this.windowBatch = newBatch();
+			setTimeout(this.flushBatch.bind(this, this.windowBatch), this.batchWindow);
+		}
+		
+		batch = this.windowBatch;
+	}
+	
+	if (batch && !batch.flushed && !waitentry.batchCollected) {
+		waitentry.batchCollected = true;
+		batch.entries.push(waitentry);
+		
+		if (batch === waitentry.batch) {
+			batch.outstanding--;
+			this.checkBatch(batch);
+		}
+		
+		return;
+	}
+	
+	this.writePackets([waitentry]);
+};
+
+/**
+ * Writes pending queries to the socket, either as a single <code>query</code>
+ * packet or as a <code>query-container</code> packet of the form
+ * <code>{queries: [...]}</code>. Servers which do not support the latter
+ * receive one <code>query</code> packet per query.
+ * 
+ * @param {object[]} entries  Entries in <code>this.pendingIDs</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#writePackets
+ */
+SoTradeConnection.prototype.writePackets = function(entries) {
+	var now = new Date().getTime();
+	
+	for (var i = 0; i < entries.length; ++i) {
+		entries[i].sent = true;
+		entries[i].qtime = null;
+		entries[i].prefill._t_csend = now;
+		
+		// attached queries are answered by the packet written now
+		for (var k = 0; k < entries[i].followers.length; ++k)
+			entries[i].followers[k].prefill._t_csend = now;
+	}
+	
+	if (entries.length > 1 && this.serverSupports('batching')) {
+		dbg('Sending', entries.length, 'queries in one packet');
+		return this.writePacket('query-container', entries);
+	}
+	
+	for (var j = 0; j < entries.length; ++j)
+		this.writePacket('query', [entries[j]]);
+};
+
+/**
+ * Writes a single <code>query</code> or <code>query-container</code> packet
+ * to the socket and passes it to <code>this.recorder</code>, if set.
+ * 
+ * @param {string} evname  The packet type.
+ * @param {object[]} entries  Entries in <code>this.pendingIDs</code>; exactly one for
+ *             <code>query</code> packets.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#writePacket
+ */
+SoTradeConnection.prototype.writePacket = function(evname, entries) {
+	var packets = entries.map(function(entry) { return entry.packet; });
+	
+	if (this.recorder) {
+		this.recorder.recordOutgoing(evname, entries.map(function(entry) {
+			return entry.outgoing;
+		}), packets);
+	}
+	
+	this._txPackets++;
+	this.transport.send(evname, evname == 'query' ? packets[0] : {queries: packets});
+};
+
+/* creates an object collecting queries which are to be sent together */
+var newBatch = function() {
+	return {
+		entries: [], // entries in pendingIDs which are ready to be sent
+		outstanding: 0, // number of queries assigned to this batch which are not ready yet
+		open: false, // whether batch() is still running
+		flushed: false
+	};
+};
+
+/**
+ * Runs a function and sends all queries issued by it in a single packet.
+ * Since queries may be signed or compressed asynchronously, the packet is sent once
+ * all of them are ready (or have failed). Nested calls join the outer batch.
+ * 
+ * @param {function} fn  The function to run.
+ * 
+ * @returns The return value of <code>fn</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#batch
+ */
+SoTradeConnection.prototype.batch = function(fn) {
+	if (this.currentBatch)
+		return fn();
+	
+	var batch = this.currentBatch = newBatch();
+	batch.open = true;
+	
+	try {
+		return fn();
+	} finally {
+		this.currentBatch = null;
+		batch.open = false;
+		this.checkBatch(batch);
+	}
+};
+
+/**
+ * Makes sure that the batch of a query which is answered or removed
+ * before it was sent does not wait for it.
+ * 
+ * @param {object} waitentry  An entry in <code>this.pendingIDs</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#releaseBatch
+ */
+SoTradeConnection.prototype.releaseBatch = function(waitentry) {
+	if (!waitentry.batch || waitentry.batchCollected)
+		return;
+	
+	waitentry.batchCollected = true;
+	waitentry.batch.outstanding--;
+	this.checkBatch(waitentry.batch);
+};
+
+/**
+ * Sends a batch created by {@link module:sotrade-api~SoTradeConnection#batch}
+ * if all of its queries are ready.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#checkBatch
+ */
+SoTradeConnection.prototype.checkBatch = function(batch) {
+	if (!batch.open && batch.outstanding == 0)
+		this.flushBatch(batch);
+};
+
+/**
+ * Sends the queries collected in a batch which are still pending.
+ * If the socket is not connected (or the protocol is being negotiated),
+ * they are put back into the outbox.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#flushBatch
+ */
+SoTradeConnection.prototype.flushBatch = function(batch) {
+	if (batch.flushed)
+		return;
+	
+	var self = this;
+	batch.flushed = true;
+	
+	var entries = batch.entries.filter(function(entry) {
+		return self.pendingIDs[entry.numericID] === entry;
+	});
+	
+	if (entries.length == 0)
+		return;
+	
+	if (!self.connected || self.negotiating) {
+		for (var i = 0; i < entries.length; ++i) {
+			entries[i].qtime = new Date().getTime();
+			self.outbox.push(entries[i].numericID);
+		}
+		
+		self.outbox.sort(function(a, b) { return a - b; });
+		return;
+	}
+	
+	self.writePackets(entries);
+};
+
+/**
+ * Sends queries from the outbox, as long as the socket is connected, the protocol
+ * is not being negotiated and the scheduler permits it (see
+ * {@link module:sotrade-api~SoTradeConnection#nextScheduled}). Queries held back by
+ * rate limits are sent once tokens are available again, those held back by the
+ * concurrency limit once a response arrives.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#flushQueue
+ */
+SoTradeConnection.prototype.flushQueue = function() {
+	while (this.connected && !this.negotiating && this.outbox.length > 0) {
+		var now = new Date().getTime();
+		var next = this.nextScheduled(now);
+		
+		if (next.index == -1) {
+			if (next.delay !== null)
+				this.scheduleFlush(next.delay);
+			
+			return;
+		}
+		
+		var waitentry = this.pendingIDs[this.outbox.splice(next.index, 1)[0]];
+		if (!waitentry)
+			continue;
+		
+		if (this.rateLimit)
+			this.rateLimit.take(now);
+		if (this.rateLimits.hasOwnProperty(waitentry.type) && this.rateLimits[waitentry.type])
+			this.rateLimits[waitentry.type].take(now);
+		
+		this.sendPending(waitentry);
+	}
+};
+
+/**
+ * Picks the query from the outbox which is to be sent next: the oldest query of the
+ * highest priority class (see {@link module:sotrade-api~SoTradeConnection#priorityClasses})
+ * which is not held back by a rate limit. While the concurrency limit is reached, only
+ * queries issued inside {@link module:sotrade-api~SoTradeConnection#batch} are sent,
+ * since their batch could not be completed otherwise.
+ * 
+ * @param {number} now  The current timestamp in milliseconds.
+ * 
+ * @returns {object} <code>{index, delay}</code>, where <code>index</code> is the position of
+ *             the query in the outbox (or -1 if none can be sent right now) and <code>delay</code>
+ *             is the number of milliseconds after which rate limits permit sending a query
+ *             (or <code>null</code> if only the concurrency limit prevents it).
+ * 
+ * @function module:sotrade-api~SoTradeConnection#nextScheduled
+ */
+SoTradeConnection.prototype.nextScheduled = function(now) {
+	var saturated = this.activeQueries() >= this.concurrencyLimit();
+	var index = -1, rank = Infinity, delay = null;
+	
+	for (var i = 0; i < this.outbox.length; ++i) {
+		var waitentry = this.pendingIDs[this.outbox[i]];
+		if (!waitentry) // removed in the meantime, discard it
+			return {index: i, delay: null};
+		
+		if (saturated && !waitentry.batch)
+			continue;
+		
+		var wait = this.rateLimitDelay(waitentry.type, now);
+		if (wait > 0) {
+			delay = delay === null ? wait : Math.min(delay, wait);
+			continue;
+		}
+		
+		var entryRank = this.priorityRank(waitentry.priority);
+		if (entryRank < rank) {
+			index = i;
+			rank = entryRank;
+		}
+	}
+	
+	return {index: index, delay: delay};
+};
+
+/**
+ * Makes sure that {@link module:sotrade-api~SoTradeConnection#flushQueue}
+ * is called after a given number of milliseconds.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#scheduleFlush
+ */
+SoTradeConnection.prototype.scheduleFlush = function(delay) {
+	var due = new Date().getTime() + delay;
+	if (this.flushTimer && this.flushDue <= due)
+		return;
+	
+	clearTimeout(this.flushTimer);
+	this.flushDue = due;
+	this.flushTimer = setTimeout(this.externallyCalled(function() {
+		this.flushTimer = null;
+		this.flushQueue();
+	}), delay);
+};
+
+/**
+ * Called when a query which has been sent is answered or removed, so that
+ * queries held back by the concurrency limit can be sent.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#releaseSlot
+ */
+SoTradeConnection.prototype.releaseSlot = function() {
+	if (this.connected && this.outbox.length > 0)
+		this.scheduleFlush(0);
+};
+
+/**
+ * Returns the number of queries which count towards the concurrency limit, i.e.
+ * which have been sent (or are waiting in the current batch window) but have not
+ * been answered yet. Queries which are not expected to be answered are not counted.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#activeQueries
+ */
+SoTradeConnection.prototype.activeQueries = function() {
+	var count = 0;
+	
+	for (var i in this.pendingIDs) {
+		var waitentry = this.pendingIDs[i];
+		if (waitentry.sent && !waitentry._expect_no_response)
+			count++;
+	}
+	
+	if (this.windowBatch && !this.windowBatch.flushed)
+		count += this.windowBatch.entries.length;
+	
+	return count;
+};
+
+/**
+ * Returns the maximum number of queries which may be sent but not answered yet:
+ * <code>this.maxConcurrency</code> if set, otherwise the <code>maxConcurrency</code>
+ * entry of the server config, and <code>Infinity</code> if neither is present.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#concurrencyLimit
+ */
+SoTradeConnection.prototype.concurrencyLimit = function() {
+	if (this.maxConcurrency)
+		return this.maxConcurrency;
+	
+	return (this.serverConfig && this.serverConfig.maxConcurrency) || Infinity;
+};
+
+/**
+ * Returns the number of queries waiting in the outbox.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#queueLength
+ */
+SoTradeConnection.prototype.queueLength = function() {
+	return this.outbox.length;
+};
+
+/**
+ * Returns the time in milliseconds for which the oldest query in the
+ * outbox has been waiting, or 0 if the outbox is empty.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#queueAge
+ */
+SoTradeConnection.prototype.queueAge = function() {
+	var now = new Date().getTime();
+	var oldest = now;
+	
+	for (var i = 0; i < this.outbox.length; ++i) {
+		var waitentry = this.pendingIDs[this.outbox[i]];
+		if (waitentry && waitentry.qtime < oldest)
+			oldest = waitentry.qtime;
+	}
+	
+	return now - oldest;
+};
+
+/**
+ * Invoke all listeners for a given set of incoming data.
+ * This includes all listeners which listen on any event (<code>'*'</code>),
+ * which listen for this kind of event/response, and which wait for this
+ * specific response.
+ * 
+ * @param {object} data  The incoming data object. Here, only <code>data.type</code> is used.
+ * @param {?object} waitentry  An entry in <code>this.pendingIDs</code>, for example.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#invokeListeners
+ */
+SoTradeConnection.prototype.invokeListeners = function(data, waitentry) {
+	var listener = (waitentry && waitentry.cb) || function() {};
+	
+	// general listeners
+	this.callListeners(data.type, [data]);
+	this.callListeners('*', [data]);
+	
+	// specific listener
+	listener(data);
+	
+	// deferred promise
+	if (waitentry && waitentry.deferred)
+		this.settleQuery(waitentry, data);
+};
+
+/**
+ * Resolves the promise for a query with its response or, if the query is to be
+ * rejected on errors and the response code indicates failure, rejects it with
+ * the error returned by {@link module:sotrade-api~SoTradeConnection#responseError}.
+ * 
+ * @param {object} entry  An entry in <code>this.pendingIDs</code> or one of its followers.
+ * @param {object} data  The response.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#settleQuery
+ */
+SoTradeConnection.prototype.settleQuery = function(entry, data) {
+	var err = entry.rejectOnError ? this.responseError(data) : null;
+	
+	if (err)
+		entry.deferred.reject(err);
+	else
+		entry.deferred.resolve(data);
+};
+
+/**
+ * Returns whether a response code indicates success, according to
+ * {@link module:sotrade-api~SoTradeConnection#successCodes}.
+ * Responses without a code are considered successful.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#isSuccessCode
+ */
+SoTradeConnection.prototype.isSuccessCode = function(code) {
+	if (typeof code == 'undefined' || code === null)
+		return true;
+	
+	return matchesAny(this.successCodes, code);
+};
+
+/**
+ * Returns the error corresponding to a response, or <code>null</code> if its
+ * code indicates success. The error is an instance of the type configured for the
+ * code in {@link module:sotrade-api~SoTradeConnection#errorTypes}, or of
+ * {@link module:sotrade-api~SoTradeConnection.SoTradeError}.
+ * 
+ * @param {object} data  The response.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#responseError
+ */
+SoTradeConnection.prototype.responseError = function(data) {
+	if (this.isSuccessCode(data.code))
+		return null;
+	
+	var ErrorType = this.errorTypes.hasOwnProperty(data.code) ?
+		this.errorTypes[data.code] : SoTradeConnection.SoTradeError;
+	
+	return new ErrorType(data.code, data);
+};
+
+/**
+ * Calls the internal listener and all listeners for a given event name.
+ * Listeners added or removed while this happens do not affect the current call.
+ * 
+ * @param {string} evname  The event name.
+ * @param {Array} args  The arguments to pass to the listeners.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#callListeners
+ */
+SoTradeConnection.prototype.callListeners = function(evname, args) {
+	if (evname != '*' && this.internalListeners.hasOwnProperty(evname))
+		this.internalListeners[evname].apply(this, args);
+	
+	var listeners = (this.listeners[evname] || []).slice();
+	
+	for (var i = 0; i < listeners.length; ++i)
+		listeners[i].apply(this, args);
+};
+
+/**
+ * Handle incoming data.
+ * This includes saving a received session key (e.g. after login), merging in any
+ * pre-filled data from the original query, adding timing information and
+ * invoking any listeners for the event.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#responseHandler
+ */
+SoTradeConnection.prototype.responseHandler = function(data) {
+	var rid = data['is-reply-to'].split('--');
+	var type = rid[0];
+	var numericID = parseInt(rid[1]);
+	var waitentry = this.pendingIDs[numericID];
+	
+	if (this.cancelledIDs[numericID]) {
+		dbg('Ignoring response to cancelled query', numericID);
+		delete this.cancelledIDs[numericID];
+		return;
+	}
+	
+	if (waitentry && this.retryQuery(numericID, data.code))
+		return;
+	
+	// the session on whose behalf the query was sent
+	var session = (waitentry && waitentry.session) || this;
+	if ((type == 'login' || data.code == 'login-success' || type == 'register' || (data.code && data.code.match(/^reg-/))) && data.key)
+		session.setKey(data.key);
+	else if (this.sessionExpiredCodes.indexOf(data.code) != -1 && session.getKey())
+		session.setKey(null, 'expired');
+	
+	data.type = type;
+	
+	var followers = (waitentry && waitentry.followers) || [];
+	var followerData = followers.map(function() { return deepCopy(data); });
+	
+	if (waitentry) {
+		clearTimeout(waitentry.timer);
+		this.releaseInflight(waitentry);
+		this.releaseBatch(waitentry);
+	}
+	
+	this.completeResponse(data, waitentry);
+	
+	if (waitentry) // not for cache hits
+		this.metrics.recordResponse(data);
+	
+	this._rxPackets++;
+	
+	dbg('Incoming', data);
+	
+	delete this.pendingIDs[numericID];
+	
+	if (waitentry)
+		this.releaseSlot();
+	
+	this.invokeListeners(data, waitentry);
+	
+	for (var i = 0; i < followers.length; ++i) {
+		this.completeResponse(followerData[i], followers[i]);
+		
+		followers[i].cb(followerData[i]);
+		this.settleQuery(followers[i], followerData[i]);
+	}
+};
+
+/**
+ * Merges the pre-filled data of a query into its response and adds
+ * timing information.
+ * 
+ * @param {object} data  The response.
+ * @param {?object} waitentry  The entry in <code>this.pendingIDs</code> for the query
+ *             (or a query that was attached to it, see
+ *             {@link module:sotrade-api~SoTradeConnection#emit}), if any.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#completeResponse
+ */
+SoTradeConnection.prototype.completeResponse = function(data, waitentry) {
+	if (waitentry) {
+		for (var i in waitentry.prefill) 
+			if (typeof data[i] == 'undefined')
+				data[i] = waitentry.prefill[i];
+	}
+	
+	var _t = data._t;
+	
+	_t.cemit = data._t_cemit; delete data._t_cemit; // comes from waitentry.prefill
+	_t.csend = data._t_csend; delete data._t_csend; // comes from waitentry.prefill
+	_t.sdone = data._t_sdone; delete data._t_sdone; // comes from server
+	_t.srecv = data._t_srecv; delete data._t_srecv; // comes from server
+	
+	data._dt = {
+		csched:   _t.csend - _t.cemit,
+		cdelta:   _t.crecv - _t.csend,
 		inqueue:  _t.srecv - _t.csend,
 		sdelta:   _t.ssend - _t.srecv,
 		outqueue: _t.crecv - _t.ssend,
 		scomp:    _t.ssend - _t.sdone,
 		ccomp:    _t.cdeco - _t.crecv
 	};
+};
+
+/**
+ * Adds an interceptor, which can hook into the processing of queries and incoming
+ * messages by providing any of the following methods:
+ * <ul>
+ *   <li><code>request(query, ctx)</code>: Called for outgoing queries, before they are
+ *       signed and sent. <code>ctx</code> has <code>type</code> and <code>id</code>
+ *       properties and a <code>respond(response)</code> method, which answers the query
+ *       locally instead of sending it.</li>
+ *   <li><code>response(data, ctx)</code>: Called for responses after decoding, before they
+ *       are passed to callbacks and listeners.</li>
+ *   <li><code>push(data, ctx)</code>: Called for push events after decoding, before they are
+ *       passed to listeners.</li>
+ *   <li><code>error(err, ctx)</code>: Called when a query fails or an incoming message is
+ *       rejected; <code>ctx.phase</code> is one of <code>'query'</code>,
+ *       <code>'response'</code>, <code>'push'</code> and <code>'receive'</code>.</li>
+ * </ul>
+ * 
+ * The <code>request</code>, <code>response</code> and <code>push</code> methods may
+ * return a replacement for the object they receive (or a promise for one); returning
+ * <code>undefined</code> keeps the object. Throwing an exception (or returning a rejected
+ * promise) makes the query fail, or discards the incoming message.
+ * 
+ * @param {object} interceptor  The interceptor.
+ * 
+ * @returns {function} A function which removes the interceptor again.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#use
+ */
+SoTradeConnection.prototype.use = function(interceptor) {
+	var self = this;
+	self.interceptors.push(interceptor);
+	
+	return function() {
+		var index = self.interceptors.indexOf(interceptor);
+		if (index != -1)
+			self.interceptors.splice(index, 1);
+	};
+};
+
+/**
+ * Passes an object through the given hook of all interceptors which provide it.
+ * 
+ * @param {string} hook  One of <code>'request'</code>, <code>'response'</code> and <code>'push'</code>.
+ * @param {object} value  The query or message.
+ * @param {object} ctx  Context information passed to the interceptors. If one of the
+ *             interceptors sets <code>ctx.response</code>, the remaining ones are skipped.
+ * 
+ * @returns {object} A promise for the resulting object.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#intercept
+ */
+SoTradeConnection.prototype.intercept = function(hook, value, ctx) {
+	var self = this;
+	
+	return self.interceptors.filter(function(interceptor) {
+		return typeof interceptor[hook] == 'function';
+	}).reduce(function(promise, interceptor) {
+		return promise.then(function(value) {
+			if (ctx.response)
+				return value;
+			
+			return self.Promise.resolve(interceptor[hook](value, ctx)).then(function(result) {
+				return typeof result == 'undefined' ? value : result;
+			});
+		});
+	}, self.Promise.resolve(value));
+};
+
+/**
+ * Returns whether any interceptor provides a given hook.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#hasInterceptors
+ */
+SoTradeConnection.prototype.hasInterceptors = function(hook) {
+	for (var i = 0; i < this.interceptors.length; ++i)
+		if (typeof this.interceptors[i][hook] == 'function')
+			return true;
+	
+	return false;
+};
+
+/**
+ * Notifies all interceptors providing an <code>error</code> method about an error.
+ * 
+ * @param {Error} err  The error.
+ * @param {object} ctx  Information on where the error occurred.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#notifyError
+ */
+SoTradeConnection.prototype.notifyError = function(err, ctx) {
+	for (var i = 0; i < this.interceptors.length; ++i) {
+		if (typeof this.interceptors[i].error != 'function')
+			continue;
+		
+		try {
+			this.interceptors[i].error(err, ctx);
+		} catch (e) {
+			dbg('Error in error interceptor', e);
+		}
+	}
+};
+
+/**
+ * Checks the signature of an incoming message, if it is signed (i.e. of the form
+ * <code>{signedContent: ...}</code>, possibly with a <code>type</code> or
+ * <code>is-reply-to</code> field for routing), using
+ * {@link module:sotrade-api~SoTradeConnection#messageVerifier}.
+ * Push events whose type is listed in
+ * {@link module:sotrade-api~SoTradeConnection#signedPushTypes} must be signed.
+ * 
+ * @param {object} data  The decoded message.
+ * 
+ * @returns {object} A promise for the verified message, which is rejected with a
+ *             {@link module:sotrade-api~SoTradeConnection.SignatureError} if the
+ *             message cannot be verified.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#verifyMessage
+ */
+SoTradeConnection.prototype.verifyMessage = function(data) {
+	var self = this;
+	var isPush = !data['is-reply-to'];
+	
+	if (!data.signedContent) {
+		if (isPush && self.signedPushTypes.indexOf(data.type) != -1)
+			return self.Promise.reject(new SoTradeConnection.SignatureError('unsigned', data));
+		
+		return self.Promise.resolve(data);
+	}
+	
+	if (!self.messageVerifier)
+		return self.Promise.reject(new SoTradeConnection.SignatureError('no-verifier', data));
+	
+	return self.Promise.resolve(self.messageVerifier.verifySignedMessage(data.signedContent)).then(function(content) {
+		if (!content || typeof content != 'object')
+			throw new SoTradeConnection.SignatureError('invalid', data);
+		
+		// the routing information must match the signed content
+		if ((data.type && content.type != data.type) ||
+			(data['is-reply-to'] && content['is-reply-to'] != data['is-reply-to']))
+			throw new SoTradeConnection.SignatureError('mismatch', data);
+		
+		// keep the timing and size information added by unwrap()
+		for (var i in data)
+			if (i.charAt(0) == '_')
+				content[i] = data[i];
+		
+		content._verified = true;
+		return content;
+	});
+};
+
+/**
+ * Verifies an incoming push event (see {@link module:sotrade-api~SoTradeConnection#verifyMessage})
+ * and passes it on to {@link module:sotrade-api~SoTradeConnection#interceptPush}.
+ * Push events which fail verification are discarded.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#verifyPush
+ */
+SoTradeConnection.prototype.verifyPush = function(data) {
+	var self = this;
+	
+	if (!data.signedContent && self.signedPushTypes.length == 0)
+		return self.interceptPush(data);
+	
+	return self.verifyMessage(data).then(self.interceptPush.bind(self), function(err) {
+		dbg('Push event discarded due to invalid signature', data.type, err);
+		self.notifyError(err, {phase: 'push', type: data.type});
+	});
+};
+
+/**
+ * Passes an incoming push event through the interceptors and then to
+ * {@link module:sotrade-api~SoTradeConnection#pushHandler}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#interceptPush
+ */
+SoTradeConnection.prototype.interceptPush = function(data) {
+	var self = this;
+	
+	if (!self.hasInterceptors('push'))
+		return self.pushHandler(data);
+	
+	return self.intercept('push', data, {type: data.type}).then(self.pushHandler.bind(self), function(err) {
+		dbg('Push event discarded by interceptor', data.type, err);
+		self.notifyError(err, {phase: 'push', type: data.type});
+	});
+};
+
+/**
+ * Handle an incoming push event.
+ * This applies cache invalidation rules (see
+ * {@link module:query-cache~QueryCache#invalidateOn}) and invokes any listeners for the event.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#pushHandler
+ */
+SoTradeConnection.prototype.pushHandler = function(data) {
+	this.qCache.handlePush(data);
+	for (var name in this.sessions)
+		this.sessions[name].qCache.handlePush(data);
+	
+	this.invokeListeners(data);
+};
+
+/**
+ * Send a request to the server.
+ * 
+ * @param {string} evname  The name of the request type.
+ * @param {object} [data]  Additional request payload (depending on the type).
+ *             Entries starting with an underscore control local behaviour, e.g.
+ *             <code>_cache</code> (seconds to cache the response for),
+ *             <code>_session</code> (name of the session to send the query for, see
+ *             {@link module:sotrade-api~SoTradeConnection#as}),
+ *             <code>_signal</code> (an <code>AbortSignal</code> for cancelling the query, see
+ *             {@link module:sotrade-api~SoTradeConnection#cancelQuery}),
+ *             <code>_reject</code> (overrides {@link module:sotrade-api~SoTradeConnection#rejectOnError}),
+ *             <code>_retry</code> (a retry policy or <code>false</code>, see
+ *             {@link module:sotrade-api~SoTradeConnection#retryPolicies}),
+ *             <code>_priority</code> (a priority class, see
+ *             {@link module:sotrade-api~SoTradeConnection#priorities}),
+ *             <code>_timeout</code> (seconds after which the query fails, see
+ *             {@link module:sotrade-api~SoTradeConnection#queryTimeout}) and
+ *             <code>_prefill</code>.
+ * @param {function} [cb]  An optional callback to be invoked when the response is received.
+ * 
+ * @returns {object} If a promise implementation is present, returns a Q-style promise.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#emit
+ */
+SoTradeConnection.prototype.emit = function(evname, data, cb) {
+	if (typeof data == 'function') {
+		cb = data;
+		data = null;
+	}
+	
+	cb = cb || function() {};
+	
+	data = data || {};
+	if (!evname)
+		return console.warn('event name missing');
+	
+	var session = data._session ? this.as(data._session) : this;
+	var handshake = !!data._handshake;
+	
+	if (this.negotiating && !handshake && !this.queueBeforeReady) {
+		var refused = createDeferred(this.Promise);
+		refused.reject(new SoTradeConnection.NotReadyError(evname));
+		return refused.promise;
+	}
+	
+	// wait for the session key to be read from an asynchronous key storage
+	if (session.keyLoading && !handshake)
+		return session.keyLoaded.then(this.emit.bind(this, evname, data, cb));
+	
+	var signal = data._signal || null;
+	var retry = this.retryPolicyFor(evname, data);
+	var attempt = data._attempt || 1;
+	var priority = this.priorityFor(evname, data);
+	
+	delete data._handshake;
+	delete data._session;
+	delete data._signal;
+	delete data._retry;
+	delete data._attempt;
+	delete data._priority;
+	
+	// the payload as passed by the caller, for rebuilding the query when retrying it
+	var original = retry ? deepCopy(data) : null;
+	
+	data.type = evname;
+	var id = ++this.id;
+	data.id = evname + '--' + id;
+	
+	if (data.__only_in_dev_mode__ && !this.logDevCheck())
+		return cb(null);
+	if (data.__only_in_srv_dev_mode__ && !this.logSrvCheck())
+		return cb(null);
+	
+	if (session.getKey() && !data.key)
+		data.key = session.getKey();
+	
+	var deferred = createDeferred(this.Promise);
+	var rejectOnError = typeof data._reject != 'undefined' ? !!data._reject : this.rejectOnError;
+	var cacheTime = data._cache * 1000;
+	var qkey = QueryCache.keyFor(data); // identifies equivalent queries
+	if (session !== this)
+		qkey = JSON.stringify(session.name) + ':' + qkey;
+	
+	var revalidate = !!data._revalidate;
+	delete data._revalidate;
+	
+	if (cacheTime) {
+		var entry = revalidate ? null : session.qCache.get(qkey);
+		if (entry) {
+			var response = entry.response;
+			
+			setTimeout((function() {
+				if (signal && signal.aborted)
+					return deferred.reject(abortError(signal));
+				
+				// cache hit
+				this.responseHandler(response);
+				if (cb)
+					cb(response);
+				
+				this.settleQuery({deferred: deferred, rejectOnError: rejectOnError}, response);
+			}).bind(this), 0);
+			
+			if (entry.stale) {
+				// refresh the entry in the background
+				var revalidateData = deepCopy(data);
+				revalidateData._revalidate = true;
+				revalidateData._priority = this.priorityClasses[this.priorityClasses.length - 1];
+				if (session !== this)
+					revalidateData._session = session.name;
+				
+				this.emit(evname, revalidateData).then(null, (function(err) {
+					// nobody waits for the refresh
+					this.notifyError(err, {phase: 'revalidate', type: evname});
+				}).bind(this));
+			}
+			
+			return deferred.promise;
+		}
+		
+		session.qCache.prune();
+		
+		// add handler to called *before* the actual callback,
+		// which inserts the result into the cache table
+		var oldCB = cb;
+		cb = (function(entry) {
+			if (!entry._error)
+				session.qCache.set(qkey, evname, entry, cacheTime);
+			
+			oldCB(entry);
+		}).bind(this);
+	}
+	
+	var prefill = data._prefill || {};
+	prefill._t_cemit = prefill._t_csend = new Date().getTime();
+	prefill._reqsize = JSON.stringify(data).length;
+	
+	var idempotent = this.isIdempotent(evname, data);
+	var coalesce = this.coalesceQueries && idempotent && !data._no_coalesce;
+	
+	// attached queries share the timeout and retries of the query they wait for
+	var inflightKey = qkey + ':' + JSON.stringify([data._timeout, retry]);
+	
+	if (coalesce) {
+		var inflight = this.inflight[inflightKey];
+		if (inflight) {
+			// an identical query is already pending, wait for its response
+			dbg('Attaching query', id, 'to in-flight query', inflight.type);
+			
+			// the send time is taken from the pending query once that is written
+			// (see writePackets()); if it has been written already, this one is not delayed
+			var follower = {
+				cb: cb,
+				deferred: deferred,
+				prefill: prefill,
+				rejectOnError: rejectOnError
+			};
+			
+			inflight.followers.push(follower);
+			this.cancelOnAbort(signal, inflight, follower);
+			
+			return deferred.promise;
+		}
+	}
+	
+	var timeout = typeof data._timeout != 'undefined' ? data._timeout : this.queryTimeout;
+	
+	this.pendingIDs[id] = {
+		type: evname,
+		cb: cb,
+		deferred: deferred,
+		prefill: prefill,
+		timer: null,
+		packet: null,
+		sent: false,
+		qtime: null,
+		idempotent: idempotent,
+		numericID: id,
+		query: data,
+		original: original,
+		retry: retry,
+		attempt: attempt,
+		priority: priority,
+		signal: signal,
+		rejectOnError: rejectOnError,
+		batch: this.currentBatch,
+		qkey: coalesce ? inflightKey : null,
+		session: session,
+		handshake: handshake,
+		followers: [],
+		_expect_no_response: data._expect_no_response
+	};
 	
-	this._rxPackets++;
+	if (coalesce)
+		this.inflight[inflightKey] = this.pendingIDs[id];
 	
-	dbg('Incoming', data);
+	if (this.currentBatch)
+		this.currentBatch.outstanding++;
+	
+	if (timeout && !data._expect_no_response) {
+		this.pendingIDs[id].timer = setTimeout(this.externallyCalled(function() {
+			this.failQuery(id, new SoTradeConnection.QueryTimeoutError(evname, data.id, timeout));
+		}), timeout * 1000);
+	}
+	
+	this.cancelOnAbort(signal, this.pendingIDs[id], this.pendingIDs[id]);
+	
+	var self = this;
+	var emit = function(packet) {
+		var compressed = self.compressQuery(packet);
+		if (!compressed)
+			return self.transmit(id, packet);
+		
+		compressed.then(function(wpacket) {
+			self.transmit(id, wpacket);
+		}, function(err) {
+			self.failQuery(id, err);
+		});
+	};
+	
+	var send = function(data) {
+		dbg('Outgoing', data);
+		
+		if (self.pendingIDs[id])
+			self.pendingIDs[id].outgoing = data;
+		
+		if (self.messageSigner && ((!data.__dont_sign__ && !self.noSignByDefault) || data.__sign__)) {
+			self.messageSigner.createSignedMessage(data).then(function(signedData) {
+				emit({ signedContent: signedData });
+			}, function(err) {
+				self.failQuery(id, err);
+			});
+		} else {
+			emit(data);
+		}
+	};
+	
+	var dispatch = function() {
+		if (!self.pendingIDs[id]) // failed or cancelled while waiting for the handshake
+			return;
+		
+		var codecNames = self.codecs.names();
+		if (codecNames.length > 0) {
+			data.csupp = {s: 1}; /* support split compression */
+			for (var i = 0; i < codecNames.length; ++i)
+				data.csupp[codecNames[i]] = 1;
+		}
+		
+		if (self.codecs.get('lzma'))
+			data.lzma = 1;
+		
+		data.pv = self.protocolVersion();
+		
+		if (self.clientSoftwareVersion)
+			data.cs = self.clientSoftwareVersion;
+		
+		if (!self.hasInterceptors('request'))
+			return send(data);
+		
+		var qid = data.id;
+		var ctx = {
+			type: evname,
+			id: qid,
+			respond: function(response) { ctx.response = response; }
+		};
+		
+		self.intercept('request', data, ctx).then(function(data) {
+			if (!ctx.response)
+				return send(data);
+			
+			// answered locally by an interceptor
+			var now = new Date().getTime();
+			var response = ctx.response;
+			response.type = response.type || evname;
+			response['is-reply-to'] = qid;
+			response._t = {crecv: now, cdeco: now};
+			
+			self.responseHandler(response);
+		}).catch(function(err) {
+			self.failQuery(id, err);
+		});
+	};
+	
+	// the packet depends on the outcome of the handshake, see handshake()
+	if (this.negotiating && !handshake) {
+		this.negotiating.promise.then(dispatch, function(err) {
+			self.failQuery(id, err);
+		});
+	} else {
+		dispatch();
+	}
+	
+	if (evname == 'logout') 
+		session.setKey(null, 'logout');
+	
+	return deferred.promise;
+};
+
+/**
+ * Cancels a pending query (or a caller waiting for its response) when
+ * an <code>AbortSignal</code> is aborted.
+ * 
+ * @param {?object} signal  The <code>AbortSignal</code>.
+ * @param {object} waitentry  The entry in <code>this.pendingIDs</code>.
+ * @param {object} entry  Either <code>waitentry</code> or one of its followers.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#cancelOnAbort
+ */
+SoTradeConnection.prototype.cancelOnAbort = function(signal, waitentry, entry) {
+	if (!signal)
+		return;
+	
+	var self = this;
+	var onAbort = function() {
+		self.cancelQuery(waitentry, entry, abortError(signal));
+	};
+	
+	if (signal.aborted)
+		return onAbort();
+	
+	signal.addEventListener('abort', onAbort);
+	
+	var removeListener = function() {
+		signal.removeEventListener('abort', onAbort);
+	};
+	
+	entry.deferred.promise.then(removeListener, removeListener);
+};
+
+/**
+ * Discards cached responses, e.g. <code>conn.invalidateCache('get-ranking')</code>
+ * after a trade.
+ * 
+ * @param {string|string[]|function} filter  See {@link module:query-cache~QueryCache#invalidate}.
+ * 
+ * This applies to the caches of all sessions created via
+ * {@link module:sotrade-api~SoTradeConnection#as}.
+ * 
+ * @returns {int} The number of discarded entries.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#invalidateCache
+ */
+SoTradeConnection.prototype.invalidateCache = function(filter) {
+	var removed = this.qCache.invalidate(filter);
+	for (var name in this.sessions)
+		removed += this.sessions[name].qCache.invalidate(filter);
+	
+	return removed;
+};
+
+/**
+ * Returns the name of the codec to use for compressing outgoing queries, or <code>null</code>
+ * if none is available. This is <code>this.forceOutboundCodec</code>, if set, or
+ * otherwise the first entry of <code>this.outboundCodecs</code> which is registered in
+ * <code>this.codecs</code> with an <code>encode</code> method and supported by the server,
+ * i.e. listed in the <code>codecs</code> it reported during the handshake or, if it did
+ * not report any, in the <code>csupp</code> object of the server config.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#outboundCodec
+ */
+SoTradeConnection.prototype.outboundCodec = function() {
+	var canEncode = (function(name) {
+		var codec = this.codecs.get(name);
+		return !!(codec && codec.encode);
+	}).bind(this);
+	
+	if (this.forceOutboundCodec)
+		return canEncode(this.forceOutboundCodec) ? this.forceOutboundCodec : null;
+	
+	var supported = (this.serverConfig && this.serverConfig.csupp) || {};
+	var negotiated = this.protocol && this.protocol.capabilities.codecs;
+	
+	for (var i = 0; i < this.outboundCodecs.length; ++i) {
+		var name = this.outboundCodecs[i];
+		var isSupported = negotiated ? negotiated.indexOf(name) != -1 : supported[name];
+		
+		if (isSupported && canEncode(name))
+			return name;
+	}
+	
+	return null;
+};
+
+/**
+ * Compresses an outgoing query (after it has been signed, if applicable) if it
+ * exceeds <code>this.compressThreshold</code>. The result uses the same
+ * <code>{e, s}</code> format as server messages (see
+ * {@link module:sotrade-api~SoTradeConnection#unwrap}).
+ * 
+ * @param {object} packet  The query as it would be sent without compression.
+ * 
+ * @returns {?object} A promise for the compressed packet, or <code>null</code> if
+ *             the packet should be sent as it is.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#compressQuery
+ */
+SoTradeConnection.prototype.compressQuery = function(packet) {
+	var s = JSON.stringify(packet);
+	if (s.length <= this.compressThreshold)
+		return null;
+	
+	var codecName = this.outboundCodec();
+	if (!codecName)
+		return null;
+	
+	dbg('Compressing outgoing query using', codecName);
+	
+	return this.Promise.resolve(this.codecs.get(codecName).encode(s)).then(function(encoded) {
+		return {e: codecName, s: encoded};
+	});
+};
+
+/**
+ * Reads the session key from <code>keyStorage</code>.
+ * If the storage is asynchronous, the key is kept in memory afterwards
+ * and queries are delayed until it has been read.
+ * If a key is found, a <code>session-started</code> event with
+ * <code>restored: true</code> is emitted.
+ * 
+ * @returns {object} {@link module:sotrade-api~SoTradeConnection#keyLoaded}
+ * 
+ * @function module:sotrade-api~SoTradeConnection#loadKey
+ */
+SoTradeConnection.prototype.loadKey = function() {
+	var self = this;
+	var key;
+	
+	try {
+		key = self.keyStorage.getKey();
+	} catch (e) {
+		dbg('Could not read session key', e);
+		key = null;
+	}
+	
+	if (key && typeof key.then == 'function') {
+		self.asyncKeyStorage = true;
+		self.keyLoading = true;
+		self.key = null;
+		
+		key = self.Promise.resolve(key).then(null, function(e) {
+			dbg('Could not read session key', e);
+			self.notifyError(e, {phase: 'key-storage'});
+			return null;
+		}).then(function(key) {
+			self.keyLoading = false;
+			
+			// a key set in the meantime takes precedence
+			if (self.keySetWhileLoading)
+				return self.key;
+			
+			return self.key = key;
+		});
+	}
+	
+	self.keyLoaded = self.Promise.resolve(key);
+	self.keyLoaded.then(function(key) {
+		if (key && !self.keySetWhileLoading)
+			self.invokeListeners({type: 'session-started', restored: true});
+	});
+	
+	return self.keyLoaded;
+};
+
+/**
+ * Return the current session key.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#getKey
+ */
+SoTradeConnection.prototype.getKey = function() {
+	if (this.asyncKeyStorage)
+		return this.key;
+	
+	return this.keyStorage.getKey();
+};
+
+/**
+ * Set the current session key and, if appropriate, clear the cache.
+ * Emits a <code>session-started</code> event when a new key is set and a
+ * <code>session-ended</code> event when the key is removed.
+ * 
+ * @param {?string} k  The new session key, or <code>null</code> to end the session.
+ * @param {string} [reason]  Reported as the <code>reason</code> of a
+ *             <code>session-ended</code> event, e.g. <code>'logout'</code> or
+ *             <code>'expired'</code>. Defaults to <code>'cleared'</code>.
+ * 
+ * @returns The return value of the <code>keyStorage</code>’s <code>setKey</code> method.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#setKey
+ */
+SoTradeConnection.prototype.setKey = function(k, reason) {
+	var self = this;
+	dbg('Set session key', k);
+	
+	var previous = self.getKey();
+	if (k != previous) {
+		self.qCache.clear();
+	}
+	
+	if (self.asyncKeyStorage) {
+		self.key = k;
+		if (self.keyLoading)
+			self.keySetWhileLoading = true;
+	}
+	
+	var result = self.keyStorage.setKey(k);
+	if (result && typeof result.then == 'function') {
+		result.then(null, function(e) {
+			dbg('Could not store session key', e);
+			self.notifyError(e, {phase: 'key-storage'});
+		});
+	}
+	
+	if (k && k != previous)
+		self.invokeListeners({type: 'session-started', restored: false});
+	else if (!k && previous)
+		self.invokeListeners({type: 'session-ended', reason: reason || 'cleared'});
+	
+	return result;
+};
+
+/**
+ * Returns a named session context, creating it if necessary.
+ * All sessions share the connection to the server, but each has its own
+ * session key and response cache, so that one client can act on behalf
+ * of several users at once, e.g. <code>conn.as('alice').emit('get-user-info')</code>.
+ * 
+ * @param {string} name  The name of the session.
+ * @param {object} [opt]  Options for a newly created session, see
+ *             {@link module:sotrade-api~SoTradeSession}.
+ * 
+ * @returns {object} A {@link module:sotrade-api~SoTradeSession}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#as
+ */
+SoTradeConnection.prototype.as = function(name, opt) {
+	if (!this.sessions.hasOwnProperty(name))
+		this.sessions[name] = new SoTradeSession(this, name, opt || {});
+	
+	return this.sessions[name];
+};
+
+/**
+ * A named session context of a {@link module:sotrade-api~SoTradeConnection}.
+ * Instances are created via {@link module:sotrade-api~SoTradeConnection#as}.
+ * 
+ * Session events (<code>session-started</code> and <code>session-ended</code>)
+ * are emitted on the connection, with a <code>session</code> property
+ * containing the session name.
+ * 
+ * @param {object} connection  The underlying connection.
+ * @param {string} name  The name of the session.
+ * @param {object} opt
+ * @param {object} [opt.keyStorage]  The key storage for this session; defaults to
+ *             {@link module:sotrade-api~SoTradeConnection.defaultKeyStorage}.
+ * @param {object} [opt.cache]  The response cache for this session; by default, a new
+ *             {@link module:query-cache~QueryCache} with the connection’s cache options.
+ * 
+ * @property {string} name  The name of the session.
+ * @property {object} connection  The underlying connection.
+ * @property {object} keyStorage  See {@link module:sotrade-api~SoTradeConnection#keyStorage}.
+ * @property {object} keyLoaded  See {@link module:sotrade-api~SoTradeConnection#keyLoaded}.
+ * @property {object} qCache  The response cache for this session.
+ * 
+ * @public
+ * @constructor module:sotrade-api~SoTradeSession
+ */
+var SoTradeSession = function(connection, name, opt) {
+	this.connection = connection;
+	this.name = name;
+	this.Promise = connection.Promise;
+	this.keyStorage = opt.keyStorage || SoTradeConnection.defaultKeyStorage();
+	this.qCache = opt.cache || new QueryCache(connection.cacheOptions);
+	
+	this.loadKey();
+};
+
+SoTradeConnection.Session = SoTradeSession;
+
+/**
+ * Sends a request to the server on behalf of this session.
+ * See {@link module:sotrade-api~SoTradeConnection#emit}.
+ * 
+ * @function module:sotrade-api~SoTradeSession#emit
+ */
+SoTradeSession.prototype.emit = function(evname, data, cb) {
+	if (typeof data == 'function') {
+		cb = data;
+		data = null;
+	}
+	
+	data = data || {};
+	data._session = this.name;
+	
+	return this.connection.emit(evname, data, cb);
+};
+
+/**
+ * Discards cached responses of this session.
+ * See {@link module:sotrade-api~SoTradeConnection#invalidateCache}.
+ * 
+ * @function module:sotrade-api~SoTradeSession#invalidateCache
+ */
+SoTradeSession.prototype.invalidateCache = function(filter) {
+	return this.qCache.invalidate(filter);
+};
+
+/**
+ * Emits a local event on the connection, tagged with the session name.
+ * 
+ * @function module:sotrade-api~SoTradeSession#invokeListeners
+ */
+SoTradeSession.prototype.invokeListeners = function(data) {
+	data.session = this.name;
 	
-	delete this.pendingIDs[numericID];
+	return this.connection.invokeListeners(data);
+};
+
+/**
+ * Reports an error to the connection’s interceptors, tagged with the session name.
+ * 
+ * @function module:sotrade-api~SoTradeSession#notifyError
+ */
+SoTradeSession.prototype.notifyError = function(err, ctx) {
+	ctx.session = this.name;
 	
-	this.invokeListeners(data, waitentry);
+	return this.connection.notifyError(err, ctx);
 };
 
 /**
- * Send a request to the server.
+ * See {@link module:sotrade-api~SoTradeConnection#loadKey}.
  * 
- * @param {string} evname  The name of the request type.
- * @param {object} [data]  Additional request payload (depending on the type).
- * @param {function} [cb]  An optional callback to be invoked when the response is received.
+ * @function module:sotrade-api~SoTradeSession#loadKey
+ */
+SoTradeSession.prototype.loadKey = SoTradeConnection.prototype.loadKey;
+
+/**
+ * See {@link module:sotrade-api~SoTradeConnection#getKey}.
  * 
- * @returns {object} If a promise implementation is present, returns a Q-style promise.
+ * @function module:sotrade-api~SoTradeSession#getKey
+ */
+SoTradeSession.prototype.getKey = SoTradeConnection.prototype.getKey;
+
+/**
+ * See {@link module:sotrade-api~SoTradeConnection#setKey}.
  * 
- * @function module:sotrade-api~SoTradeConnection#emit
+ * @function module:sotrade-api~SoTradeSession#setKey
  */
-SoTradeConnection.prototype.emit = function(evname, data, cb) {
-	if (typeof data == 'function') {
-		cb = data;
-		data = null;
-	}
+SoTradeSession.prototype.setKey = SoTradeConnection.prototype.setKey;
+
+/**
+ * Behaves like {@link module:sotrade-api~SoTradeConnection#on},
+ * except that after the event was triggered once, the listener is removed.
+ * Also, <code>cb</code> is optional, since a promise can be used instead.
+ * 
+ * The listener can be removed before it was triggered by passing <code>cb</code> to
+ * {@link module:sotrade-api~SoTradeConnection#off}, or by aborting <code>opt.signal</code>,
+ * in which case the promise is rejected with an <code>AbortError</code>.
+ * 
+ * @returns {object} If a promise implementation is present, returns a Q-style promise
+ *             for the array of arguments the listener was called with.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#once
+ */
+SoTradeConnection.prototype.once = function(evname, cb, opt) {
+	var deferred = createDeferred(this.Promise);
+	var signal = opt && !isScope(opt) ? opt.signal : null;
+	var dispose = null;
 	
-	cb = cb || function() {};
+	var cb_ = function() {
+		dispose();
+		if (signal)
+			signal.removeEventListener('abort', rejectAborted);
+		
+		if (cb)
+			cb.apply(this, arguments);
+		
+		deferred.resolve(Array.prototype.slice.apply(arguments));
+	};
 	
-	data = data || {};
-	if (!evname)
-		return console.warn('event name missing');
-	data.type = evname;
-	var id = ++this.id;
-	data.id = evname + '--' + id;
+	cb_.listener = cb;
 	
-	if (data.__only_in_dev_mode__ && !this.logDevCheck())
-		return cb(null);
-	if (data.__only_in_srv_dev_mode__ && !this.logSrvCheck())
-		return cb(null);
+	var rejectAborted = function() {
+		if (dispose)
+			dispose();
+		
+		deferred.reject(abortError(signal));
+	};
+	
+	if (signal) {
+		if (signal.aborted) {
+			rejectAborted();
+			return deferred.promise;
+		}
+		
+		signal.addEventListener('abort', rejectAborted);
+	}
 	
-	if (this.getKey() && !data.key)
-		data.key = this.getKey();
+	dispose = this.on(evname, cb_, opt);
 	
-	var deferred = this.Promise.defer();
-	var now = (new Date()).getTime();
-	var cacheTime = data._cache * 1000;
+	return deferred.promise;
+};
 
-	if (cacheTime) {
-		var qcid_obj = deepCopy(data);
-		delete qcid_obj._cache;
-		delete qcid_obj.id;
-		var qcid = JSON.stringify(qcid_obj);
-		var entry = this.qCache[qcid];
-		if (entry && (now - entry._cache_rtime) < cacheTime) {
-			setTimeout((function() {
-				// cache hit
-				this.responseHandler(entry);
-				if (cb)
-					cb(entry);
+/* whether an object is an Angular-style scope, rather than an options object */
+var isScope = function(obj) {
+	return !!obj && (typeof obj.$on == 'function' || typeof obj.on == 'function');
+};
 
-				deferred.resolve(entry);
-			}).bind(this), 0);
+/* creates the error for operations cancelled via an AbortSignal */
+var abortError = function(signal) {
+	if (signal.reason instanceof Error)
+		return signal.reason;
+	
+	var err = new Error('The operation was aborted');
+	err.name = 'AbortError';
+	err.code = 'aborted';
+	return err;
+};
 
-			return deferred.promise;
-		} 
-		
-		// flush outdated cache entries
-		var qCacheKeys = Object.keys(this.qCache);
-		for (var i = 0; i < qCacheKeys.length; ++i) {
-			var k = qCacheKeys[i];
-			if (now > this.qCache[k]._cache_ptime)
-				delete this.qCache[k];
-		}
+/**
+ * Listens on a event/response type.
+ * Each event is passed to each registered listener exactly once.
+ * 
+ * @param {string} evname  A valid event or response type or <code>'*'</code>
+ * @param {function} cb  A callback that will be invoked when this event is triggered,
+ *             with the event/response payload as a parameter.
+ * @param {object} [opt]  Either an options object or an Angular-style scope, i.e. an event
+ *             emitter exposing the <code>'$destroy'</code> or <code>'destroy'</code> event.
+ *             When the scope is destroyed, this listener will remove itself.
+ * @param {object} [opt.signal]  An <code>AbortSignal</code>; when aborted, this listener
+ *             will remove itself.
+ * 
+ * @returns {function} A function which removes the listener again.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#on
+ */
+SoTradeConnection.prototype.on = function(evname, cb, opt) {
+	var self = this;
+	var signal = opt && !isScope(opt) ? opt.signal : null;
+	var removed = false;
+	
+	var dispose = function() {
+		if (removed)
+			return;
 		
-		// cache miss
-		delete this.qCache[qcid];
+		removed = true;
+		if (signal)
+			signal.removeEventListener('abort', dispose);
 		
-		// add handler to called *before* the actual callback,
-		// which inserts the result into the cache table
-		var oldCB = cb;
-		cb = (function(entry) {
-			// insert into cache
-			
-			var now = new Date().getTime();
-			entry._cache_rtime = now;
-			entry._cache_ptime = now + cacheTime;
-			this.qCache[qcid] = entry;
-			oldCB(entry);
-		}).bind(this);
+		var listeners = self.listeners[evname] || [];
+		var index = listeners.indexOf(cb);
+		if (index != -1)
+			self.removeListenerAt(evname, index);
+	};
+	
+	if (signal && signal.aborted)
+		return dispose;
+	
+	(self.listeners[evname] = self.listeners[evname] || []).push(cb);
+	self.forwardTransportEvent(evname);
+	
+	if (signal)
+		signal.addEventListener('abort', dispose);
+	
+	if (isScope(opt)) {
+		if (opt.$on) opt.$on('$destroy', dispose);
+		if (opt.on)  opt.on ('destroy',  dispose);
 	}
 	
-	var prefill = data._prefill || {};
-	prefill._t_csend = new Date().getTime();
-	prefill._reqsize = JSON.stringify(data).length;
+	return dispose;
+};
+
+/**
+ * Removes an entry from <code>this.listeners[evname]</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#removeListenerAt
+ */
+SoTradeConnection.prototype.removeListenerAt = function(evname, index) {
+	var listeners = this.listeners[evname];
 	
-	this.pendingIDs[id] = {
-		cb: cb,
-		deferred: deferred,
-		prefill: prefill,
-		_expect_no_response: data._expect_no_response
-	};
+	listeners.splice(index, 1);
+	if (listeners.length == 0)
+		delete this.listeners[evname];
 	
-	this._txPackets++;
+	this.unforwardTransportEvent(evname);
+};
+
+/**
+ * Removes a listener added via {@link module:sotrade-api~SoTradeConnection#on} or
+ * {@link module:sotrade-api~SoTradeConnection#once}. If it has been added multiple times,
+ * only the most recently added instance is removed.
+ * 
+ * @param {string} evname  The event name passed to <code>on</code>.
+ * @param {function} cb  The listener passed to <code>on</code>.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#off
+ */
+SoTradeConnection.prototype.off = function(evname, cb) {
+	var listeners = this.listeners[evname] || [];
+	
+	for (var i = listeners.length - 1; i >= 0; --i) {
+		if (listeners[i] === cb || (cb && listeners[i].listener === cb)) {
+			this.removeListenerAt(evname, i);
+			break;
+		}
+	}
+	
+	return this;
+};
+
+/**
+ * Alias of {@link module:sotrade-api~SoTradeConnection#off}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#removeListener
+ */
+SoTradeConnection.prototype.removeListener = SoTradeConnection.prototype.off;
+
+/**
+ * Removes all listeners for an event, or all listeners for any event.
+ * 
+ * @param {string} [evname]  The event name.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#removeAllListeners
+ */
+SoTradeConnection.prototype.removeAllListeners = function(evname) {
+	var evnames = typeof evname != 'undefined' ? [evname] : Object.keys(this.listeners);
 	
-	if (this.lzma) {
-		data.lzma = 1;
-		data.csupp = {lzma: 1, s:1}; /* support lzma, split compression */
+	for (var i = 0; i < evnames.length; ++i) {
+		delete this.listeners[evnames[i]];
+		this.unforwardTransportEvent(evnames[i]);
 	}
 	
-	data.pv = this.protocolVersion();
+	return this;
+};
+
+/**
+ * Returns the number of listeners for an event.
+ * 
+ * @param {string} evname  The event name.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#listenerCount
+ */
+SoTradeConnection.prototype.listenerCount = function(evname) {
+	return (this.listeners[evname] || []).length;
+};
+
+/**
+ * Returns an async iterator over events of one or more types, e.g.
+ * <code>for await (var trade of conn.events('trade')) { ... }</code>.
+ * The listeners used for this are removed when the iteration stops.
+ * 
+ * @param {string|string[]} type  An event type, an array of event types, or <code>'*'</code>.
+ * @param {object} [opt]  Options for the {@link module:event-stream~EventStream},
+ *             i.e. <code>bufferSize</code>, <code>overflow</code> and <code>filter</code>.
+ * @param {object} [opt.signal]  An <code>AbortSignal</code>; when aborted, the iteration
+ *             ends with an <code>AbortError</code>.
+ * 
+ * @returns {object} A {@link module:event-stream~EventStream}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#events
+ */
+SoTradeConnection.prototype.events = function(type, opt) {
+	var self = this;
+	opt = opt || {};
+	
+	EventStream = EventStream || loadModule('./event-stream.js', 'EventStream');
 	
-	if (this.clientSoftwareVersion)
-		data.cs = this.clientSoftwareVersion;
+	var types = Array.isArray(type) ? type : [type];
+	var signal = opt.signal || null;
+	var stream;
 	
-	dbg('Outgoing', data);
+	var abort = function() {
+		stream.end(abortError(signal));
+	};
 	
-	var emit = (function(data) { this.socket.emit('query', data); }).bind(this);
-	if (this.messageSigner && ((!data.__dont_sign__ && !this.noSignByDefault) || data.__sign__)) {
-		this.messageSigner.createSignedMessage(data).then(function(signedData) {
-			emit({ signedContent: signedData });
+	stream = new EventStream(function(push) {
+		var disposers = types.map(function(type) {
+			return self.on(type, push);
 		});
-	} else {
-		emit(data);
-	}
+		
+		if (signal)
+			signal.addEventListener('abort', abort);
+		
+		return function() {
+			for (var i = 0; i < disposers.length; ++i)
+				disposers[i]();
+			
+			if (signal)
+				signal.removeEventListener('abort', abort);
+		};
+	}, {
+		bufferSize: opt.bufferSize,
+		overflow: opt.overflow,
+		filter: opt.filter,
+		Promise: self.Promise
+	});
 	
-	if (evname == 'logout') 
-		this.setKey(null);
+	if (signal && signal.aborted)
+		abort();
 	
-	return deferred.promise;
+	return stream;
 };
 
 /**
- * Return the current session key.
+ * Returns an Observable (usable e.g. with RxJS’ <code>from()</code>) for events of
+ * one or more types. Each subscription receives events via its own
+ * {@link module:sotrade-api~SoTradeConnection#events} stream.
  * 
- * @function module:sotrade-api~SoTradeConnection#getKey
+ * @param {string|string[]} type  See {@link module:sotrade-api~SoTradeConnection#events}.
+ * @param {object} [opt]  See {@link module:sotrade-api~SoTradeConnection#events}.
+ * 
+ * @returns {object} See {@link module:event-stream~EventStream.observable}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#observe
  */
-SoTradeConnection.prototype.getKey = function() {
-	return this.keyStorage.getKey();
+SoTradeConnection.prototype.observe = function(type, opt) {
+	var self = this;
+	
+	EventStream = EventStream || loadModule('./event-stream.js', 'EventStream');
+	
+	return EventStream.observable(function() {
+		return self.events(type, opt);
+	});
 };
 
 /**
- * Set the current session key and, if appropriate, clear the cache.
+ * Issues a query repeatedly, so that its result is kept up to date: The query is sent
+ * once immediately and then again every <code>opt.interval</code> seconds, whenever a
+ * push event of one of the types in <code>opt.refreshOn</code> arrives, and after
+ * reconnecting.
  * 
- * @function module:sotrade-api~SoTradeConnection#setKey
+ * Polling is paused while the connection is down, and a refresh requested while the query
+ * is still pending is performed once the response has arrived. If the query has a
+ * <code>_cache</code> time, the first result may come from the cache, while later
+ * ones are always fetched from the server (updating the cache); the polling interval
+ * defaults to the cache time in that case.
+ * 
+ * <pre>
+ * var live = conn.watch('get-ranking', {_cache: 30}, {refreshOn: ['trade'], scope: $scope});
+ * live.subscribe(function(response) { $scope.ranking = response.result; });
+ * </pre>
+ * 
+ * @param {string} type  The query type.
+ * @param {object} [data]  The query payload, as for {@link module:sotrade-api~SoTradeConnection#emit}.
+ * @param {object} [opt]
+ * @param {number} [opt.interval]  Polling interval in seconds; by default, the query
+ *             is not polled (unless it has a <code>_cache</code> time).
+ * @param {string|string[]} [opt.refreshOn]  Push event types after which the query is refreshed.
+ * @param {boolean} [opt.refreshOnReconnect=true]  Whether to refresh after reconnecting.
+ * @param {object} [opt.scope]  An Angular-style scope; the subscription ends when it is
+ *             destroyed (see {@link module:sotrade-api~SoTradeConnection#on}).
+ * @param {object} [opt.signal]  An <code>AbortSignal</code> ending the subscription.
+ * 
+ * @returns {object} A {@link module:sotrade-api~LiveQuery}.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#watch
  */
-SoTradeConnection.prototype.setKey = function(k) {
-	dbg('Set session key', k);
+SoTradeConnection.prototype.watch = function(type, data, opt) {
+	return new LiveQuery(this, type, data || {}, opt || {});
+};
+
+/**
+ * A query which is refreshed automatically, as created by
+ * {@link module:sotrade-api~SoTradeConnection#watch}.
+ * 
+ * @property {object} connection  The underlying connection.
+ * @property {string} type  The query type.
+ * @property {object} data  The query payload.
+ * @property {number} interval  The polling interval in seconds, or 0.
+ * @property {?object} latest  The most recent response (or, for failed queries, the object
+ *             passed to the query’s callback; see
+ *             {@link module:sotrade-api~SoTradeConnection#failQuery}).
+ * @property {boolean} fetching  Whether the query is currently pending.
+ * @property {boolean} disposed  Whether the subscription has ended.
+ * 
+ * @public
+ * @constructor module:sotrade-api~LiveQuery
+ */
+var LiveQuery = function(connection, type, data, opt) {
+	var self = this;
+	
+	self.connection = connection;
+	self.type = type;
+	self.data = data;
+	self.interval = opt.interval || data._cache || 0;
+	self.refreshOnReconnect = typeof opt.refreshOnReconnect != 'undefined' ? opt.refreshOnReconnect : true;
+	self.signal = opt.signal || null;
+	
+	self.latest = null;
+	self.fetched = false;
+	self.fetching = false;
+	self.dirty = false; // whether to refresh again once the pending query is answered
+	self.disposed = false;
+	self.timer = null;
+	self.callbacks = [];
+	self.controller = null;
+	
+	var refreshOn = opt.refreshOn || [];
+	if (!Array.isArray(refreshOn))
+		refreshOn = [refreshOn];
+	
+	var refresh = function() { self.refresh(); };
+	
+	self.disposers = refreshOn.map(function(evname) {
+		return connection.on(evname, refresh);
+	}).concat([
+		connection.on('disconnected', function() { self.pause(); }),
+		connection.on('connected', function() { self.schedule(); }),
+		connection.on('reconnected', function() {
+			if (self.refreshOnReconnect)
+				self.refresh();
+		}),
+		connection.on('closed', function() { self.dispose(); })
+	]);
+	
+	self.dispose = self.dispose.bind(self);
+	
+	if (self.signal) {
+		if (self.signal.aborted)
+			return self.dispose();
+		
+		self.signal.addEventListener('abort', self.dispose);
+	}
 	
-	if (k != this.keyStorage.getKey()) {
-		this.qCache = {};
+	if (opt.scope) {
+		if (opt.scope.$on) opt.scope.$on('$destroy', self.dispose);
+		if (opt.scope.on)  opt.scope.on ('destroy',  self.dispose);
 	}
 	
-	return this.keyStorage.setKey(k);
+	self.refresh();
 };
 
+SoTradeConnection.LiveQuery = LiveQuery;
+
 /**
- * Behaves like {@link module:sotrade-api~SoTradeConnection#on},
- * except that after the event was triggered once, the listener is removed.
- * Also, <code>cb</code> is optional, since a promise can be used instead.
+ * Registers a callback which receives each new result. If there already is a result,
+ * the callback is invoked with it immediately.
  * 
- * @returns {object} If a promise implementation is present, returns a Q-style promise.
+ * @param {function} cb  The callback.
  * 
- * @function module:sotrade-api~SoTradeConnection#once
+ * @returns {function} A function which removes the callback again.
+ * 
+ * @function module:sotrade-api~LiveQuery#subscribe
  */
-SoTradeConnection.prototype.once = function(evname, cb) {
-	cb = cb || function() {};
+LiveQuery.prototype.subscribe = function(cb) {
+	var self = this;
 	
-	var destroyCb = null;
+	self.callbacks.push(cb);
+	if (self.latest)
+		cb(self.latest);
 	
-	var fakeEventEmitter = {
-		on: function(evname, fn) {
-			destroyCb = fn;
-		}
+	return function() {
+		var index = self.callbacks.indexOf(cb);
+		if (index != -1)
+			self.callbacks.splice(index, 1);
 	};
+};
+
+/**
+ * Sends the query now, or once the pending one has been answered.
+ * 
+ * @function module:sotrade-api~LiveQuery#refresh
+ */
+LiveQuery.prototype.refresh = function() {
+	var self = this;
 	
-	var deferred = this.Promise.defer();
+	if (self.disposed)
+		return;
 	
-	var cb_ = function() {
-		destroyCb();
+	if (self.fetching) {
+		self.dirty = true;
+		return;
+	}
+	
+	clearTimeout(self.timer);
+	self.timer = null;
+	self.fetching = true;
+	self.dirty = false;
+	
+	var data = deepCopy(self.data);
+	if (self.fetched)
+		data._revalidate = true;
+	
+	if (typeof AbortController != 'undefined') {
+		self.controller = new AbortController();
+		data._signal = self.controller.signal;
+	}
+	
+	var done = function() {
+		self.fetching = false;
+		self.controller = null;
 		
-		cb.apply(this, arguments);
+		if (self.dirty)
+			return self.refresh();
 		
-		deferred.resolve(Array.prototype.slice.apply(arguments));
+		self.schedule();
 	};
 	
-	this.on(evname, cb_, fakeEventEmitter);
+	var promise = self.connection.emit(self.type, data, function(response) {
+		if (self.disposed)
+			return;
+		
+		self.fetched = true;
+		self.latest = response;
+		
+		var callbacks = self.callbacks.slice();
+		for (var i = 0; i < callbacks.length; ++i)
+			callbacks[i](response);
+	});
 	
-	return deferred.promise;
+	if (promise && promise.then)
+		promise.then(done, done);
+	else
+		done();
 };
 
 /**
- * Listens on a event/response type.
+ * Schedules the next poll, if a polling interval is set and the connection is up.
  * 
- * @param {string} evname  A valid event or response type or <code>'*'</code>
- * @param {function} cb  A callback that will be invoked when this event is triggered,
- *             with the event/response payload as a parameter.
- * @param {object} [angularScope]  An event emitter exposing the <code>'$destroy'</code>
- *             or <code>'destroy'</code> event. When triggered, this listener will remove
- *             itself.
+ * @function module:sotrade-api~LiveQuery#schedule
+ */
+LiveQuery.prototype.schedule = function() {
+	var self = this;
+	
+	if (!self.interval || self.disposed || self.fetching || !self.connection.connected)
+		return;
+	
+	clearTimeout(self.timer);
+	self.timer = setTimeout(self.connection.externallyCalled(function() {
+		self.timer = null;
+		self.refresh();
+	}), self.interval * 1000);
+};
+
+/**
+ * Stops polling until the connection is re-established.
  * 
- * @function module:sotrade-api~SoTradeConnection#on
+ * @function module:sotrade-api~LiveQuery#pause
+ */
+LiveQuery.prototype.pause = function() {
+	clearTimeout(this.timer);
+	this.timer = null;
+};
+
+/**
+ * Ends the subscription: Polling stops, the listeners are removed and a
+ * pending query is cancelled.
+ * 
+ * @function module:sotrade-api~LiveQuery#dispose
  */
-SoTradeConnection.prototype.on = function(evname, cb, angularScope) {
-	var index = (this.listeners[evname] = (this.listeners[evname] || [])).push(cb) - 1;
+LiveQuery.prototype.dispose = function() {
+	if (this.disposed)
+		return;
 	
-	var cbExternal = this.externallyCalled(cb);
-	this.socket.on(evname, cbExternal);
+	this.disposed = true;
+	this.dirty = false;
+	this.pause();
+	this.callbacks = [];
 	
-	if (angularScope) {
-		var self = this;
-		
-		var listenerDelete = function() {
-			delete self.listeners[evname][index];
-			self.socket.removeListener(evname, cbExternal);
-		};
-		
-		if (angularScope.$on) angularScope.$on('$destroy', listenerDelete);
-		if (angularScope.on)  angularScope.on ('destroy',  listenerDelete);
-	}
+	for (var i = 0; i < this.disposers.length; ++i)
+		this.disposers[i]();
+	
+	if (this.signal)
+		this.signal.removeEventListener('abort', this.dispose);
+	
+	if (this.controller)
+		this.controller.abort();
+};
+
+/**
+ * Decodes an incoming envelope (see {@link module:sotrade-api~SoTradeConnection#unwrap})
+ * and passes it and the decoding result to <code>this.recorder</code>, if set.
+ * 
+ * @param {string} evname  The event name, e.g. <code>'response'</code>.
+ * @param {object} wdata  The envelope as received.
+ * 
+ * @returns {object} A promise for the decoded message.
+ * 
+ * @function module:sotrade-api~SoTradeConnection#receive
+ */
+SoTradeConnection.prototype.receive = function(evname, wdata) {
+	var recorder = this.recorder;
+	if (!recorder)
+		return this.unwrap(wdata);
+	
+	var entry = recorder.recordIncoming(evname, wdata);
+	
+	return this.unwrap(wdata).then(function(data) {
+		recorder.recordDecoded(entry, data);
+		return data;
+	}, function(err) {
+		recorder.recordDecoded(entry, null, err);
+		throw err;
+	});
 };
 
 /**
- * Processes a raw server response, esp. decompresses it if encoded.
+ * Processes a raw server response, esp. decompresses it if encoded
+ * using one of the codecs in <code>this.codecs</code> (or <code>'split'</code>
+ * encoding, where each piece is encoded separately).
  * Also, some fields for information on performance are added
  * (time of receival, decode time, encoded/decoded size).
  * 
@@ -585,14 +3700,16 @@ SoTradeConnection.prototype.unwrap = function(data) {
 	var self = this;
 	
 	return self.Promise.resolve().then(function() {
-		if (data.e === 'lzma' && self.lzma) {
-			return self.lzma.decompress(new Uint8Array(data.s)).then(function(s) {
+		var codec = data.e != 'raw' && data.e != 'split' ? self.codecs.get(data.e) : null;
+		
+		if (codec) {
+			return codec.decode(new Uint8Array(data.s)).then(function(s) {
 				var decoded = JSON.parse(s);
 				decsize = s.length;
 				encsize = data.s.byteLength || data.s.length;
 				return decoded;
 			});
-		} else if (data.e == 'split' && self.lzma) {
+		} else if (data.e == 'split') {
 			/* split compression support */
 			var decoded = {};
 			var decodedCount = 0;
@@ -604,7 +3721,7 @@ SoTradeConnection.prototype.unwrap = function(data) {
 				encsize += piece.s.byteLength || piece.s.length;
 				
 				return self.unwrap(piece).then(function(s) {
-					decsize += s.length;
+					decsize += s._resp_decsize;
 					
 					var obj = s;
 					for (var i in obj)
@@ -0,0 +1,72 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('batching', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', function(query) { return {code: 'ok', n: query.n}; });
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('sends queries issued inside batch() in a single packet', function() {
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return wait(10).then(function() {
+			var tx = conn.txPackets();
+			var queries = conn.batch(function() {
+				return [1, 2, 3].map(function(n) { return conn.emit('get-a', {n: n}); });
+			});
+			
+			return Promise.all(queries).then(function(responses) {
+				assert.deepEqual(responses.map(function(r) { return r.n; }), [1, 2, 3]);
+				assert.strictEqual(conn.txPackets() - tx, 1);
+				assert.strictEqual(server.containers.length, 1);
+				assert.strictEqual(server.containers[0].queries.length, 3);
+			});
+		});
+	});
+	
+	it('lets nested calls join the outer batch', function() {
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return wait(10).then(function() {
+			return Promise.all(conn.batch(function() {
+				return [conn.emit('get-a', {n: 1})].concat(conn.batch(function() {
+					return [conn.emit('get-a', {n: 2})];
+				}));
+			}));
+		}).then(function(responses) {
+			assert.deepEqual(responses.map(function(r) { return r.n; }), [1, 2]);
+			assert.strictEqual(server.containers.length, 1);
+			assert.strictEqual(server.containers[0].queries.length, 2);
+		});
+	});
+	
+	it('collects queries sent within the batch window', function() {
+		conn = new SoTradeConnection({transport: server.transport, batchWindow: 10});
+		
+		return wait(10).then(function() {
+			return Promise.all([conn.emit('get-a', {n: 1}), conn.emit('get-a', {n: 2})]);
+		}).then(function() {
+			assert.strictEqual(server.containers.length, 1);
+		});
+	});
+});
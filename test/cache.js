@@ -0,0 +1,173 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+var QueryCache = api.QueryCache;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('QueryCache', function() {
+	it('ignores IDs, control entries and key order in cache keys', function() {
+		assert.strictEqual(
+			QueryCache.keyFor({type: 'get-a', id: 'get-a--1', a: {x: 1, y: 2}, b: 3, _cache: 10}),
+			QueryCache.keyFor({b: 3, a: {y: 2, x: 1}, type: 'get-a', id: 'get-a--2'}));
+		assert.notStrictEqual(QueryCache.keyFor({type: 'get-a', b: 3}), QueryCache.keyFor({type: 'get-a', b: 4}));
+		assert.notStrictEqual(QueryCache.keyFor({type: 'get-a'}), QueryCache.keyFor({type: 'get-a', _prefill: {x: 1}}));
+	});
+	
+	it('evicts the least recently used entries', function() {
+		var cache = new QueryCache({maxEntries: 2});
+		cache.set('a', 'get-a', {n: 1}, 1000);
+		cache.set('b', 'get-b', {n: 2}, 1000);
+		cache.get('a');
+		cache.set('c', 'get-c', {n: 3}, 1000);
+		
+		assert.deepEqual(Object.keys(cache.entries), ['a', 'c']);
+		assert.strictEqual(cache.get('b'), null);
+		assert.deepEqual(cache.stats(), {
+			hits: 1, staleHits: 0, misses: 1, evictions: 1, invalidations: 0,
+			entries: 2, bytes: 14
+		});
+	});
+	
+	it('limits the total size of the entries', function() {
+		var cache = new QueryCache({maxBytes: 20});
+		cache.set('a', 'get-a', {s: 'xxxx'}, 1000);
+		cache.set('b', 'get-b', {s: 'yyyy'}, 1000);
+		cache.set('c', 'get-c', {s: 'a very long string'}, 1000);
+		
+		assert.deepEqual(Object.keys(cache.entries), ['b']);
+		assert.strictEqual(cache.bytes, 12);
+	});
+	
+	it('returns expired entries as stale within the grace period', function() {
+		var cache = new QueryCache({staleWhileRevalidate: 0.02});
+		cache.set('a', 'get-a', {n: 1}, 0);
+		
+		assert.ok(cache.get('a').stale);
+		return wait(30).then(function() {
+			assert.strictEqual(cache.get('a'), null);
+			assert.strictEqual(cache.count, 0);
+		});
+	});
+	
+	it('invalidates entries by type, list of types, predicate or push event', function() {
+		var cache = new QueryCache({invalidateOn: {trade: ['get-a', 'get-b']}});
+		var fill = function() {
+			cache.clear();
+			['get-a', 'get-b', 'get-c'].forEach(function(type) {
+				cache.set(type, type, {}, 1000);
+			});
+		};
+		
+		fill();
+		assert.strictEqual(cache.invalidate('get-a'), 1);
+		fill();
+		assert.strictEqual(cache.invalidate(['get-a', 'get-c']), 2);
+		fill();
+		assert.strictEqual(cache.invalidate(function(entry) { return entry.type != 'get-b'; }), 2);
+		
+		fill();
+		cache.handlePush({type: 'trade'});
+		assert.deepEqual(Object.keys(cache.entries), ['get-c']);
+		assert.strictEqual(cache.stats().invalidations, 7);
+	});
+});
+
+describe('query cache', function() {
+	var server, conn, n;
+	
+	beforeEach(function() {
+		n = 0;
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', function() { return {code: 'ok', n: ++n}; });
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('answers repeated queries from the cache', function() {
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return conn.emit('get-a', {_cache: 10}).then(function() {
+			return conn.emit('get-a', {_cache: 10});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 1);
+			assert.strictEqual(server.queries.length, 1);
+			
+			assert.strictEqual(conn.invalidateCache('get-a'), 1);
+			return conn.emit('get-a', {_cache: 10});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 2);
+		});
+	});
+	
+	it('discards entries when a configured push event arrives', function() {
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			cacheOptions: {invalidateOn: {trade: 'get-a'}}
+		});
+		
+		return conn.emit('get-a', {_cache: 10}).then(function() {
+			server.push({type: 'trade'});
+			return wait(20);
+		}).then(function() {
+			return conn.emit('get-a', {_cache: 10});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 2);
+		});
+	});
+	
+	it('refreshes stale entries in the background', function() {
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			cacheOptions: {staleWhileRevalidate: 10}
+		});
+		
+		return conn.emit('get-a', {_cache: 0.01}).then(function() {
+			return wait(30);
+		}).then(function() {
+			return conn.emit('get-a', {_cache: 0.01});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 1);
+			return wait(20);
+		}).then(function() {
+			assert.strictEqual(server.queries.length, 2);
+			assert.ok(!('_revalidate' in server.queries[1]));
+			assert.strictEqual(conn.qCache.get(QueryCache.keyFor({type: 'get-a'})).response.n, 2);
+		});
+	});
+	
+	it('reports failed background refreshes instead of leaving them unhandled', function() {
+		var errors = [];
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			queryTimeout: 0.05,
+			cacheOptions: {staleWhileRevalidate: 10}
+		});
+		conn.use({error: function(err, ctx) { errors.push(ctx.phase + ':' + err.code); }});
+		
+		return conn.emit('get-a', {_cache: 0.01}).then(function() {
+			server.handlers['get-a'] = [];
+			return wait(30);
+		}).then(function() {
+			return conn.emit('get-a', {_cache: 0.01});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 1);
+			return wait(150);
+		}).then(function() {
+			assert.ok(errors.indexOf('revalidate:query-timeout') != -1);
+		});
+	});
+});
+
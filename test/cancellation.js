@@ -0,0 +1,89 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('cancellation', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-slow', {code: 'ok'}, {delay: 100});
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			cancelQueryType: 'cancel-query',
+			reconnectPolicy: function() { return 10; }
+		});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('rejects aborted queries and asks the server to cancel them', function() {
+		var controller = new AbortController();
+		var query = conn.emit('get-slow', {_signal: controller.signal});
+		
+		return wait(10).then(function() {
+			controller.abort();
+			return query;
+		}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.name, 'AbortError');
+			return wait(10);
+		}).then(function() {
+			var cancel = server.queries[1];
+			assert.strictEqual(cancel.type, 'cancel-query');
+			assert.strictEqual(cancel['query-id'], 'get-slow--1');
+			assert.deepEqual(Object.keys(conn.pendingIDs), ['2']);
+			assert.ok(conn.pendingIDs[2]._expect_no_response);
+			
+			server.disconnect();
+			return wait(50);
+		}).then(function() {
+			assert.strictEqual(server.queries.length, 2);
+		});
+	});
+	
+	it('does not send queries which are aborted before being sent', function() {
+		var controller = new AbortController();
+		controller.abort();
+		
+		return conn.emit('get-slow', {_signal: controller.signal}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.name, 'AbortError');
+			assert.strictEqual(server.queries.length, 0);
+		});
+	});
+	
+	it('keeps queries which expect no response registered in case they are answered', function() {
+		var answered = null;
+		var query = conn.emit('get-slow', {_expect_no_response: true}, function(response) {
+			answered = response;
+		});
+		
+		return wait(20).then(function() {
+			assert.strictEqual(server.queries.length, 1);
+			assert.ok(conn.pendingIDs[1]);
+			
+			return query;
+		}).then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			assert.strictEqual(answered.code, 'ok');
+			assert.deepEqual(Object.keys(conn.pendingIDs), []);
+		});
+	});
+});
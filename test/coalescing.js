@@ -0,0 +1,115 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('coalescing of identical queries', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', function(query) { return {code: 'ok', x: query.x}; }, {delay: 20});
+		server.respond('stock-buy', {code: 'stock-buy-success'}, {delay: 20});
+		conn = new SoTradeConnection({transport: server.transport});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	var count = function(type) {
+		return server.queries.filter(function(query) { return query.type == type; }).length;
+	};
+	
+	it('sends identical idempotent queries only once', function() {
+		return Promise.all([
+			conn.emit('get-a', {x: 1}),
+			conn.emit('get-a', {x: 1}),
+			conn.emit('get-a', {x: 2})
+		]).then(function(responses) {
+			assert.deepEqual(responses.map(function(r) { return r.x; }), [1, 1, 2]);
+			assert.notStrictEqual(responses[0], responses[1]);
+			assert.strictEqual(count('get-a'), 2);
+		});
+	});
+	
+	it('does not coalesce queries which are not idempotent', function() {
+		return Promise.all([conn.emit('stock-buy', {x: 1}), conn.emit('stock-buy', {x: 1})]).then(function() {
+			assert.strictEqual(count('stock-buy'), 2);
+		});
+	});
+	
+	it('can be disabled per query or per connection', function() {
+		return Promise.all([conn.emit('get-a', {x: 1}), conn.emit('get-a', {x: 1, _no_coalesce: true})]).then(function() {
+			assert.strictEqual(count('get-a'), 2);
+			
+			conn.coalesceQueries = false;
+			return Promise.all([conn.emit('get-a', {x: 1}), conn.emit('get-a', {x: 1})]);
+		}).then(function() {
+			assert.strictEqual(count('get-a'), 4);
+		});
+	});
+	
+	it('fails attached queries together with the sent one', function() {
+		server.handlers['get-a'] = [];
+		
+		var leader = conn.emit('get-a', {x: 1, _timeout: 0.01});
+		var follower = conn.emit('get-a', {x: 1, _timeout: 0.01});
+		
+		return Promise.all([leader, follower].map(function(query) {
+			return query.then(function() {
+				assert.fail('should have been rejected');
+			}, function(err) {
+				return err.code;
+			});
+		})).then(function(codes) {
+			assert.deepEqual(codes, ['query-timeout', 'query-timeout']);
+			assert.deepEqual(conn.inflight, {});
+			assert.strictEqual(count('get-a'), 1);
+		});
+	});
+	
+	it('does not coalesce queries with different timeouts', function() {
+		var short = conn.emit('get-a', {x: 1, _timeout: 0.005});
+		var long = conn.emit('get-a', {x: 1});
+		
+		return short.then(function() {
+			assert.fail('should have timed out');
+		}, function(err) {
+			assert.strictEqual(err.code, 'query-timeout');
+			return long;
+		}).then(function(response) {
+			assert.strictEqual(response.x, 1);
+			assert.strictEqual(count('get-a'), 2);
+		});
+	});
+	
+	it('reports the send time of the pending query for attached queries', function() {
+		var queries;
+		conn.reconnectPolicy = {delay: function() { return 5; }};
+		server.disconnect(true);
+		
+		return wait(10).then(function() {
+			queries = [conn.emit('get-a', {x: 1}), conn.emit('get-a', {x: 1})];
+			return wait(30);
+		}).then(function() {
+			server.acceptConnections();
+			return Promise.all(queries);
+		}).then(function(responses) {
+			assert.strictEqual(count('get-a'), 1);
+			assert.strictEqual(responses[1]._t.csend, responses[0]._t.csend);
+			assert.ok(responses[1]._dt.csched >= 25);
+		});
+	});
+});
@@ -0,0 +1,130 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var CodecRegistry = api.CodecRegistry;
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+/* a codec which reverses the UTF-8 bytes of a message */
+var reverseCodec = {
+	decode: function(bytes) {
+		return Promise.resolve(new TextDecoder().decode(new Uint8Array(bytes).reverse()));
+	},
+	
+	encode: function(s) {
+		return Promise.resolve(new TextEncoder().encode(s).reverse());
+	}
+};
+
+var roundTrip = function(codec, s) {
+	return codec.encode(s).then(function(bytes) {
+		return codec.decode(new Uint8Array(bytes));
+	});
+};
+
+describe('CodecRegistry', function() {
+	it('registers and looks up codecs by name', function() {
+		var registry = new CodecRegistry();
+		
+		assert.strictEqual(registry.register('rev', reverseCodec).register('x', {}), registry);
+		assert.deepEqual(registry.names(), ['rev', 'x']);
+		assert.strictEqual(registry.get('rev'), reverseCodec);
+		assert.strictEqual(registry.get('hasOwnProperty'), null);
+		
+		registry.unregister('x');
+		assert.deepEqual(registry.names(), ['rev']);
+		assert.strictEqual(registry.get('x'), null);
+	});
+	
+	it('provides the zlib codecs by default in Node.js', function() {
+		var registry = CodecRegistry.withDefaults();
+		var names = registry.names();
+		
+		assert.ok(names.indexOf('gzip') != -1);
+		assert.ok(names.indexOf('deflate') != -1);
+		
+		return Promise.all(names.map(function(name) {
+			return roundTrip(registry.get(name), 'äöü ' + name);
+		})).then(function(results) {
+			assert.deepEqual(results, names.map(function(name) { return 'äöü ' + name; }));
+		});
+	});
+	
+	it('provides DecompressionStream codecs compatible with zlib', function() {
+		var streamCodecs = CodecRegistry.streamCodecs();
+		var zlibCodecs = CodecRegistry.zlibCodecs();
+		
+		return Promise.all(['gzip', 'deflate'].map(function(name) {
+			return zlibCodecs[name].encode('payload').then(function(bytes) {
+				return streamCodecs[name].decode(bytes);
+			});
+		})).then(function(results) {
+			assert.deepEqual(results, ['payload', 'payload']);
+			return roundTrip(streamCodecs.gzip, 'ü');
+		}).then(function(result) {
+			assert.strictEqual(result, 'ü');
+		});
+	});
+	
+	it('wraps LZMA providers', function() {
+		var codec = CodecRegistry.lzmaCodec(FakeSoTradeServer.identityLzma);
+		
+		assert.strictEqual(typeof CodecRegistry.lzmaCodec({decompress: function() {}}).encode, 'undefined');
+		return roundTrip(codec, '{"a":1}').then(function(result) {
+			assert.strictEqual(result, '{"a":1}');
+		});
+	});
+	
+	describe('with a connection', function() {
+		var server, conn;
+		
+		beforeEach(function() {
+			var codecs = CodecRegistry.withDefaults().register('rev', reverseCodec);
+			server = new FakeSoTradeServer({codecs: codecs});
+			conn = new SoTradeConnection({transport: server.transport, codecs: codecs});
+		});
+		
+		afterEach(function() {
+			conn.close();
+		});
+		
+		it('advertises the registered codecs', function() {
+			server.respond('get-a', {code: 'ok'});
+			
+			return conn.emit('get-a').then(function() {
+				var csupp = server.queries[0].csupp;
+				
+				assert.strictEqual(csupp.s, 1);
+				assert.strictEqual(csupp.gzip, 1);
+				assert.strictEqual(csupp.rev, 1);
+				assert.ok(!('lzma' in server.queries[0]));
+			});
+		});
+		
+		['gzip', 'deflate', 'rev'].forEach(function(encoding) {
+			it('decodes ' + encoding + '-encoded responses', function() {
+				server.respond('get-a', {code: 'ok', x: 'ä'}, {encoding: encoding});
+				
+				return conn.emit('get-a').then(function(response) {
+					assert.strictEqual(response.x, 'ä');
+					assert.ok(response._resp_encsize > 0);
+				});
+			});
+		});
+		
+		it('decodes split messages without an LZMA provider', function() {
+			server.respond('get-a', {code: 'ok', x: [1, 2], y: 'z'}, {encoding: 'split'});
+			
+			return conn.emit('get-a').then(function(response) {
+				assert.deepEqual(response.x, [1, 2]);
+				assert.strictEqual(response.y, 'z');
+			});
+		});
+	});
+});
@@ -0,0 +1,96 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+var WebSocketTransport = api.WebSocketTransport;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('compression of outgoing queries', function() {
+	var server, conn, wire;
+	
+	var connect = function(serverConfig, opt) {
+		server = new FakeSoTradeServer({serverConfig: serverConfig});
+		server.respond('set-text', function(query) { return {code: 'ok', length: query.text.length}; });
+		
+		wire = [];
+		server.serverTransport.on('query', function(packet) { wire.push(packet); });
+		
+		opt = opt || {};
+		opt.transport = server.transport;
+		opt.compressThreshold = 300;
+		conn = new SoTradeConnection(opt);
+		
+		return wait(10);
+	};
+	
+	var longText = new Array(501).join('x');
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('compresses large queries with the preferred codec the server supports', function() {
+		return connect({csupp: {deflate: 1, gzip: 1}}).then(function() {
+			assert.strictEqual(conn.outboundCodec(), 'gzip');
+			return conn.emit('set-text', {text: longText});
+		}).then(function(response) {
+			assert.strictEqual(response.length, 500);
+			assert.strictEqual(wire[0].e, 'gzip');
+			assert.ok(wire[0].s.length < JSON.stringify(server.queries[0]).length);
+			assert.strictEqual(server.queries[0].text, longText);
+		});
+	});
+	
+	it('sends small queries as they are', function() {
+		return connect({csupp: {gzip: 1}}).then(function() {
+			return conn.emit('set-text', {text: 'short'});
+		}).then(function() {
+			assert.strictEqual(wire[0].e, undefined);
+			assert.strictEqual(wire[0].text, 'short');
+		});
+	});
+	
+	it('does not compress unless the server supports a codec', function() {
+		return connect({}).then(function() {
+			assert.strictEqual(conn.outboundCodec(), null);
+			return conn.emit('set-text', {text: longText});
+		}).then(function() {
+			assert.strictEqual(wire[0].text, longText);
+		});
+	});
+	
+	it('can be forced to use a codec', function() {
+		return connect({}, {forceOutboundCodec: 'deflate'}).then(function() {
+			return conn.emit('set-text', {text: longText});
+		}).then(function(response) {
+			assert.strictEqual(response.length, 500);
+			assert.strictEqual(wire[0].e, 'deflate');
+			
+			conn.forceOutboundCodec = 'unknown';
+			assert.strictEqual(conn.outboundCodec(), null);
+		});
+	});
+});
+
+describe('WebSocketTransport', function() {
+	it('sends compressed queries as arrays of bytes', function() {
+		var sent = [];
+		var FakeWebSocket = function() {};
+		FakeWebSocket.prototype.send = function(msg) { sent.push(JSON.parse(msg)); };
+		
+		var transport = new WebSocketTransport('ws://example.invalid/', {WebSocket: FakeWebSocket});
+		transport.send('query', {e: 'gzip', s: new Uint8Array([1, 2, 3])});
+		
+		assert.deepEqual(sent, [['query', {e: 'gzip', s: [1, 2, 3]}]]);
+	});
+});
@@ -0,0 +1,125 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('rejection of failed responses', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-ok', {code: 'get-ok-success'});
+		server.respond('get-missing', {code: 'get-missing-not-found'});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('resolves failed responses unless rejectOnError is set', function() {
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return conn.emit('get-missing').then(function(response) {
+			assert.strictEqual(response.code, 'get-missing-not-found');
+		});
+	});
+	
+	it('rejects failed responses with a SoTradeError describing them', function() {
+		var called = null;
+		conn = new SoTradeConnection({transport: server.transport, rejectOnError: true});
+		
+		return conn.emit('get-ok').then(function(response) {
+			assert.strictEqual(response.code, 'get-ok-success');
+			
+			return conn.emit('get-missing', {}, function(response) { called = response; });
+		}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.ok(err instanceof SoTradeConnection.SoTradeError);
+			assert.ok(err instanceof Error);
+			assert.strictEqual(err.name, 'SoTradeError');
+			assert.strictEqual(err.code, 'get-missing-not-found');
+			assert.strictEqual(err.type, 'get-missing');
+			assert.strictEqual(err.id, 'get-missing--2');
+			assert.strictEqual(err.response.code, 'get-missing-not-found');
+			assert.ok(err.timing);
+			assert.strictEqual(err.message, 'Query get-missing--2 failed with code get-missing-not-found');
+			assert.strictEqual(called.code, 'get-missing-not-found');
+		});
+	});
+	
+	it('can be enabled and disabled per query', function() {
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return conn.emit('get-missing', {_reject: true}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.code, 'get-missing-not-found');
+			conn.rejectOnError = true;
+			
+			return conn.emit('get-missing', {_reject: false});
+		}).then(function(response) {
+			assert.strictEqual(response.code, 'get-missing-not-found');
+		});
+	});
+	
+	it('uses the configured success codes and error types', function() {
+		var NotFoundError = SoTradeConnection.defineErrorType('NotFoundError');
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			rejectOnError: true,
+			successCodes: ['get-missing-not-found'],
+			errorTypes: {'get-ok-success': NotFoundError}
+		});
+		
+		return conn.emit('get-missing').then(function(response) {
+			assert.strictEqual(response.code, 'get-missing-not-found');
+			return conn.emit('get-ok');
+		}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.ok(err instanceof NotFoundError);
+			assert.ok(err instanceof SoTradeConnection.SoTradeError);
+			assert.strictEqual(err.name, 'NotFoundError');
+			assert.strictEqual(err.code, 'get-ok-success');
+		});
+	});
+	
+	it('derives the other error types from SoTradeError', function() {
+		var timeout = new SoTradeConnection.QueryTimeoutError('get-a', 'get-a--1', 1);
+		var closed = new SoTradeConnection.ConnectionClosedError();
+		
+		assert.ok(timeout instanceof SoTradeConnection.SoTradeError);
+		assert.strictEqual(timeout.code, 'query-timeout');
+		assert.ok(closed instanceof SoTradeConnection.SoTradeError);
+		assert.strictEqual(closed.code, 'connection-closed');
+	});
+	
+	it('rejects sent queries lost to an internal server error', function() {
+		conn = new SoTradeConnection({transport: server.transport, rejectOnError: true});
+		var lost = conn.emit('get-never');
+		
+		return wait(10).then(function() {
+			server.internalServerError();
+			return lost;
+		}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.ok(err instanceof SoTradeConnection.InternalServerError);
+			assert.strictEqual(err.code, 'internal-server-error');
+			assert.strictEqual(err.type, 'get-never');
+			assert.strictEqual(err.id, 'get-never--1');
+		});
+	});
+});
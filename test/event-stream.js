@@ -0,0 +1,200 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var EventStream = api.EventStream;
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('EventStream', function() {
+	var push, unsubscribed;
+	
+	var subscribe = function(p) {
+		push = p;
+		return function() { unsubscribed++; };
+	};
+	
+	beforeEach(function() {
+		push = null;
+		unsubscribed = 0;
+	});
+	
+	it('buffers events until they are consumed', function() {
+		var stream = new EventStream(subscribe);
+		push(1);
+		push(2);
+		
+		return stream.next().then(function(result) {
+			assert.deepEqual(result, {value: 1, done: false});
+			return stream.next();
+		}).then(function(result) {
+			assert.deepEqual(result, {value: 2, done: false});
+		});
+	});
+	
+	it('resolves waiting next() calls with new events', function() {
+		var stream = new EventStream(subscribe);
+		var next = stream.next();
+		push(1);
+		
+		return next.then(function(result) {
+			assert.deepEqual(result, {value: 1, done: false});
+			assert.deepEqual(stream.buffer, []);
+		});
+	});
+	
+	it('discards the oldest events when the buffer overflows', function() {
+		var stream = new EventStream(subscribe, {bufferSize: 2});
+		push(1);
+		push(2);
+		push(3);
+		
+		assert.deepEqual(stream.buffer, [2, 3]);
+		assert.strictEqual(stream.dropped, 1);
+	});
+	
+	it('discards new events when the buffer overflows with overflow: drop-newest', function() {
+		var stream = new EventStream(subscribe, {bufferSize: 2, overflow: 'drop-newest'});
+		push(1);
+		push(2);
+		push(3);
+		
+		assert.deepEqual(stream.buffer, [1, 2]);
+		assert.strictEqual(stream.dropped, 1);
+	});
+	
+	it('ends with an error after the buffered events with overflow: error', function() {
+		var stream = new EventStream(subscribe, {bufferSize: 1, overflow: 'error'});
+		push(1);
+		push(2);
+		
+		assert.strictEqual(unsubscribed, 1);
+		return stream.next().then(function(result) {
+			assert.deepEqual(result, {value: 1, done: false});
+			return stream.next();
+		}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.code, 'buffer-overflow');
+			return stream.next();
+		}).then(function(result) {
+			assert.ok(result.done);
+		});
+	});
+	
+	it('passes on only events matching the filter', function() {
+		var stream = new EventStream(subscribe, {filter: function(n) { return n % 2; }});
+		push(1);
+		push(2);
+		push(3);
+		
+		assert.deepEqual(stream.buffer, [1, 3]);
+	});
+	
+	it('unsubscribes when ended', function() {
+		var stream = new EventStream(subscribe);
+		push(1);
+		stream['return']();
+		
+		assert.strictEqual(unsubscribed, 1);
+		return stream.next().then(function(result) {
+			assert.ok(result.done);
+		});
+	});
+	
+	it('delivers events to observable subscribers until they unsubscribe', function() {
+		var observable = EventStream.observable(function() { return new EventStream(subscribe); });
+		var values = [];
+		
+		var subscription = observable.subscribe({next: function(value) { values.push(value); }});
+		push(1);
+		push(2);
+		
+		return wait(10).then(function() {
+			subscription.unsubscribe();
+			push(3);
+			return wait(10);
+		}).then(function() {
+			assert.deepEqual(values, [1, 2]);
+			assert.ok(subscription.closed);
+			assert.strictEqual(unsubscribed, 1);
+		});
+	});
+	
+	it('passes exceptions thrown by observers to their error callback', function() {
+		var observable = EventStream.observable(function() { return new EventStream(subscribe); });
+		var values = [], errors = [];
+		
+		var subscription = observable.subscribe(function(value) {
+			values.push(value);
+			if (value == 2)
+				throw new Error('bad');
+		}, function(err) {
+			errors.push(err.message);
+		});
+		
+		push(1);
+		push(2);
+		push(3);
+		
+		return wait(10).then(function() {
+			assert.deepEqual(values, [1, 2]);
+			assert.deepEqual(errors, ['bad']);
+			assert.ok(subscription.closed);
+			assert.strictEqual(unsubscribed, 1);
+		});
+	});
+});
+
+describe('SoTradeConnection#events', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		conn = new SoTradeConnection({transport: server.transport});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('iterates over pushed events of the given types', function() {
+		var stream = conn.events(['trade', 'comment']);
+		
+		server.push({type: 'trade', id: 1});
+		server.push({type: 'watch-add', id: 2});
+		server.push({type: 'comment', id: 3});
+		
+		return stream.next().then(function(result) {
+			assert.strictEqual(result.value.id, 1);
+			return stream.next();
+		}).then(function(result) {
+			assert.strictEqual(result.value.id, 3);
+			stream['return']();
+			assert.strictEqual(conn.listenerCount('trade'), 0);
+			assert.strictEqual(conn.listenerCount('comment'), 0);
+		});
+	});
+	
+	it('ends the iteration when the signal is aborted', function() {
+		var controller = new AbortController();
+		var stream = conn.events('trade', {signal: controller.signal});
+		controller.abort();
+		
+		return stream.next().then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.name, 'AbortError');
+			assert.strictEqual(conn.listenerCount('trade'), 0);
+		});
+	});
+});
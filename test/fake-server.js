@@ -0,0 +1,113 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('FakeSoTradeServer', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({lzma: FakeSoTradeServer.identityLzma, serverConfig: {a: 1}});
+		conn = new SoTradeConnection({transport: server.transport, lzma: FakeSoTradeServer.identityLzma});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('answers queries with scripted responses and timing information', function() {
+		server.respond('get-a', function(query) { return {code: 'ok', echo: query.v}; });
+		
+		return conn.emit('get-a', {v: 5}).then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			assert.strictEqual(response.echo, 5);
+			assert.strictEqual(response['is-reply-to'], 'get-a--1');
+			assert.ok(response._dt.sdelta >= 0);
+			assert.ok(response._dt.cdelta >= 0);
+			assert.deepEqual(conn.serverConfig, {a: 1});
+		});
+	});
+	
+	['raw', 'lzma', 'split'].forEach(function(encoding) {
+		it('sends responses with the ' + encoding + ' encoding', function() {
+			server.respond('get-a', {code: 'ok', x: [1, 2, 3]}, {encoding: encoding});
+			
+			return conn.emit('get-a').then(function(response) {
+				assert.deepEqual(response.x, [1, 2, 3]);
+			});
+		});
+	});
+	
+	it('uses handlers registered via respondOnce() only once', function() {
+		server.respondOnce('get-a', {code: 'first'});
+		server.respond('get-a', {code: 'later'});
+		
+		return conn.emit('get-a').then(function(response) {
+			assert.strictEqual(response.code, 'first');
+			return conn.emit('get-a', {n: 2});
+		}).then(function(response) {
+			assert.strictEqual(response.code, 'later');
+		});
+	});
+	
+	it('answers with the given delay', function() {
+		server.respond('get-a', {code: 'ok'}, {delay: 30});
+		var start = Date.now();
+		
+		return conn.emit('get-a').then(function() {
+			assert.ok(Date.now() - start >= 25);
+			assert.strictEqual(server.queries.length, 1);
+		});
+	});
+	
+	it('sends an internal-server-error event when a handler throws', function() {
+		server.respond('get-a', function() { throw new Error('boom'); });
+		
+		return conn.emit('get-a', {_reject: true}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.code, 'internal-server-error');
+			assert.strictEqual(server.errors[0].message, 'boom');
+		});
+	});
+	
+	it('delivers push events and push containers', function() {
+		var received = [];
+		conn.on('trade', function(data) { received.push(data.n); });
+		
+		server.push({type: 'trade', n: 1});
+		server.pushContainer([{type: 'trade', n: 2}, {type: 'trade', n: 3}], 'lzma');
+		
+		return wait(30).then(function() {
+			assert.deepEqual(received, [1, 2, 3]);
+		});
+	});
+	
+	it('drops the connection and refuses reconnects if asked to', function() {
+		server.respond('get-a', {code: 'ok'});
+		conn.reconnectPolicy = {delay: function() { return 5; }};
+		server.disconnect(true);
+		
+		return wait(30).then(function() {
+			assert.ok(conn.reconnectAttempts >= 2);
+			assert.strictEqual(conn.state, 'reconnecting');
+			
+			server.acceptConnections();
+			return wait(20);
+		}).then(function() {
+			assert.strictEqual(conn.state, 'connected');
+			return conn.emit('get-a');
+		});
+	});
+});
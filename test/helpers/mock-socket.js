@@ -0,0 +1,43 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+
+/* a socket.io-like socket on which the test plays the server:
+ * queries sent by the client are recorded in queries, and
+ * respond() and push() deliver raw-encoded packets to the client */
+var MockSocket = function() {
+	EventEmitter.call(this);
+	
+	this.queries = [];
+	this.on('query', function(query) {
+		this.queries.push(query);
+	});
+};
+
+MockSocket.prototype = Object.create(EventEmitter.prototype);
+MockSocket.prototype.constructor = MockSocket;
+
+/* called by the client for reconnecting; the test decides when to emit 'connect' */
+MockSocket.prototype.connect = function() {
+	this.connectAttempts = (this.connectAttempts || 0) + 1;
+};
+
+MockSocket.prototype.disconnect = function() {
+	this.closed = true;
+};
+
+MockSocket.prototype.respond = function(query, response) {
+	response.type = query.type;
+	response['is-reply-to'] = query.id;
+	this.emit('response', {e: 'raw', s: JSON.stringify(response)});
+};
+
+MockSocket.prototype.push = function(data) {
+	this.emit('push', {e: 'raw', s: JSON.stringify(data)});
+};
+
+exports.MockSocket = MockSocket;
@@ -0,0 +1,109 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('interceptors', function() {
+	var server, conn, log;
+	
+	beforeEach(function() {
+		log = [];
+		server = new FakeSoTradeServer();
+		server.respond('get-a', function(query) { return {code: 'ok', tag: query.tag}; });
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			interceptors: [{
+				request: function(query) { log.push('first'); query.tag = 'a'; },
+				error: function(err, ctx) { log.push(ctx.phase + ':' + err.message); }
+			}]
+		});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('passes queries and responses through the interceptors in order', function() {
+		conn.use({
+			request: function(query, ctx) {
+				log.push('second:' + ctx.type + ':' + ctx.id);
+				return Promise.resolve({type: query.type, id: query.id, tag: query.tag + 'b'});
+			},
+			response: function(data, ctx) {
+				log.push('response:' + ctx.type);
+				data.tag += 'c';
+			}
+		});
+		
+		return conn.emit('get-a').then(function(response) {
+			assert.deepEqual(log, ['first', 'second:get-a:get-a--1', 'response:get-a']);
+			assert.strictEqual(server.queries[0].tag, 'ab');
+			assert.strictEqual(response.tag, 'abc');
+		});
+	});
+	
+	it('lets interceptors answer queries locally', function() {
+		conn.use({request: function(query, ctx) { ctx.respond({code: 'cached', tag: query.tag}); }});
+		conn.use({request: function() { log.push('skipped'); }});
+		
+		return conn.emit('get-a').then(function(response) {
+			assert.strictEqual(response.code, 'cached');
+			assert.strictEqual(response.tag, 'a');
+			assert.strictEqual(response['is-reply-to'], 'get-a--1');
+			assert.deepEqual(log, ['first']);
+			assert.strictEqual(server.queries.length, 0);
+		});
+	});
+	
+	it('fails queries rejected by a request or response interceptor', function() {
+		var remove = conn.use({request: function() { throw new Error('refused'); }});
+		
+		return conn.emit('get-a').then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.message, 'refused');
+			assert.strictEqual(server.queries.length, 0);
+			
+			remove();
+			conn.use({response: function() { return Promise.reject(new Error('bad response')); }});
+			return conn.emit('get-a');
+		}).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.message, 'bad response');
+			assert.deepEqual(log, ['first', 'query:refused', 'first', 'query:bad response']);
+		});
+	});
+	
+	it('passes push events through the interceptors and discards rejected ones', function() {
+		var received = [];
+		conn.on('trade', function(data) { received.push(data.n); });
+		conn.use({
+			push: function(data) {
+				if (data.n == 2)
+					throw new Error('discarded');
+				
+				data.n *= 10;
+			}
+		});
+		
+		server.push({type: 'trade', n: 1});
+		server.push({type: 'trade', n: 2});
+		
+		return wait(20).then(function() {
+			assert.deepEqual(received, [10]);
+			assert.deepEqual(log, ['push:discarded']);
+		});
+	});
+});
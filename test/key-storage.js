@@ -0,0 +1,217 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+var KeyStorage = api.KeyStorage;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+/* a Web Storage object with synchronous or promise-based methods */
+var fakeStorage = function(async) {
+	var items = {};
+	var result = function(value) { return async ? Promise.resolve(value) : value; };
+	
+	return {
+		items: items,
+		getItem: function(name) { return result(items.hasOwnProperty(name) ? items[name] : null); },
+		setItem: function(name, value) { items[name] = String(value); return result(); },
+		removeItem: function(name) { delete items[name]; return result(); }
+	};
+};
+
+describe('KeyStorage', function() {
+	it('stores keys in Web Storage objects', function() {
+		var storage = fakeStorage();
+		var keyStorage = KeyStorage.webStorage(storage);
+		
+		assert.strictEqual(keyStorage.getKey(), null);
+		keyStorage.setKey('k1');
+		assert.deepEqual(storage.items, {'sotrade-session-key': 'k1'});
+		assert.strictEqual(keyStorage.getKey(), 'k1');
+		
+		keyStorage.setKey(null);
+		assert.deepEqual(storage.items, {});
+		
+		KeyStorage.webStorage(storage, 'other').setKey('k2');
+		assert.deepEqual(storage.items, {other: 'k2'});
+	});
+	
+	describe('file', function() {
+		var dir, file, keyStorage;
+		
+		beforeEach(function() {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sotrade-key-'));
+			file = path.join(dir, 'key.json');
+			keyStorage = KeyStorage.file(file);
+		});
+		
+		afterEach(function() {
+			fs.rmSync(dir, {recursive: true, force: true});
+		});
+		
+		it('keeps the key in a private file and removes it when cleared', function() {
+			return keyStorage.getKey().then(function(key) {
+				assert.strictEqual(key, null);
+				
+				keyStorage.setKey('k1');
+				return keyStorage.setKey('k2');
+			}).then(function(key) {
+				assert.strictEqual(key, 'k2');
+				assert.strictEqual(fs.statSync(file).mode & parseInt('777', 8), parseInt('600', 8));
+				return KeyStorage.file(file).getKey();
+			}).then(function(key) {
+				assert.strictEqual(key, 'k2');
+				return keyStorage.setKey(null);
+			}).then(function() {
+				assert.ok(!fs.existsSync(file));
+				return keyStorage.setKey(null);
+			});
+		});
+		
+		it('performs writes in order even if one of them fails', function() {
+			var written = [];
+			var failing = KeyStorage.file(file, {fs: {
+				writeFile: function(p, content) {
+					if (JSON.parse(content).key == 'bad')
+						return Promise.reject(new Error('disk full'));
+					
+					return wait(5).then(function() { written.push(JSON.parse(content).key); });
+				}
+			}});
+			
+			failing.setKey('k1');
+			var bad = failing.setKey('bad');
+			
+			return failing.setKey('k2').then(function() {
+				assert.deepEqual(written, ['k1', 'k2']);
+				return bad;
+			}).then(function() {
+				assert.fail('should have been rejected');
+			}, function(err) {
+				assert.strictEqual(err.message, 'disk full');
+			});
+		});
+	});
+	
+	describe('with a connection', function() {
+		var server, conn, events;
+		
+		var connect = function(keyStorage, opt) {
+			opt = opt || {};
+			opt.transport = server.transport;
+			opt.keyStorage = keyStorage;
+			conn = new SoTradeConnection(opt);
+			
+			['session-started', 'session-ended'].forEach(function(type) {
+				conn.on(type, function(data) { events.push([type, data.restored, data.reason]); });
+			});
+		};
+		
+		beforeEach(function() {
+			events = [];
+			server = new FakeSoTradeServer();
+			server.respond('login', {code: 'login-success', key: 'k1'});
+			server.respond('logout', {code: 'logout-success'});
+			server.respond('get-a', function(query) { return {code: query.key == 'k1' ? 'ok' : 'not-logged-in'}; });
+		});
+		
+		afterEach(function() {
+			conn.close();
+		});
+		
+		it('reports sessions started by login and ended by logout', function() {
+			var storage = fakeStorage();
+			connect(KeyStorage.webStorage(storage));
+			
+			return conn.emit('login').then(function() {
+				assert.strictEqual(storage.items['sotrade-session-key'], 'k1');
+				return conn.emit('get-a');
+			}).then(function(response) {
+				assert.strictEqual(response.code, 'ok');
+				return conn.emit('logout');
+			}).then(function() {
+				return wait(10);
+			}).then(function() {
+				assert.deepEqual(events, [['session-started', false, undefined], ['session-ended', undefined, 'logout']]);
+				assert.deepEqual(storage.items, {});
+			});
+		});
+		
+		it('ends the session when the server reports it as expired', function() {
+			var storage = fakeStorage();
+			storage.setItem('sotrade-session-key', 'old');
+			connect(KeyStorage.webStorage(storage));
+			assert.deepEqual(conn.sessionExpiredCodes, ['not-logged-in']);
+			
+			return conn.emit('get-a').then(function(response) {
+				assert.strictEqual(response.code, 'not-logged-in');
+				assert.strictEqual(conn.getKey(), null);
+				return wait(10);
+			}).then(function() {
+				assert.deepEqual(events, [['session-started', true, undefined], ['session-ended', undefined, 'expired']]);
+			});
+		});
+		
+		it('ends the session only for the configured response codes', function() {
+			server.respond('get-b', {code: 'get-b-invalid-key'});
+			connect(KeyStorage.webStorage(fakeStorage()), {sessionExpiredCodes: ['get-b-invalid-key']});
+			
+			return conn.emit('login').then(function() {
+				return conn.emit('get-a', {key: 'other'});
+			}).then(function(response) {
+				assert.strictEqual(response.code, 'not-logged-in');
+				assert.strictEqual(conn.getKey(), 'k1');
+				return conn.emit('get-b');
+			}).then(function() {
+				assert.strictEqual(conn.getKey(), null);
+				return wait(10);
+			}).then(function() {
+				assert.deepEqual(events, [['session-started', false, undefined], ['session-ended', undefined, 'expired']]);
+			});
+		});
+		
+		it('delays queries until an asynchronously stored key has been read', function() {
+			var storage = fakeStorage(true);
+			storage.setItem('sotrade-session-key', 'k1');
+			connect(KeyStorage.webStorage(storage));
+			
+			assert.strictEqual(conn.getKey(), null);
+			
+			return conn.emit('get-a').then(function(response) {
+				assert.strictEqual(response.code, 'ok');
+				assert.strictEqual(conn.getKey(), 'k1');
+				assert.deepEqual(events, [['session-started', true, undefined]]);
+			});
+		});
+		
+		it('reports failures of the key storage', function() {
+			var errors = [];
+			connect({
+				getKey: function() { return Promise.reject(new Error('unreadable')); },
+				setKey: function() { return Promise.reject(new Error('unwritable')); }
+			}, {interceptors: [{error: function(err, ctx) { errors.push(ctx.phase + ':' + err.message); }}]});
+			
+			return conn.keyLoaded.then(function(key) {
+				assert.strictEqual(key, null);
+				return conn.emit('login');
+			}).then(function() {
+				return wait(10);
+			}).then(function() {
+				assert.deepEqual(errors, ['key-storage:unreadable', 'key-storage:unwritable']);
+				assert.strictEqual(conn.getKey(), 'k1');
+			});
+		});
+	});
+});
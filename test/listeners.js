@@ -0,0 +1,154 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('event listeners', function() {
+	var server, conn, calls;
+	
+	var record = function(name) {
+		return function(data) { calls.push(name + ':' + data.n); };
+	};
+	
+	beforeEach(function() {
+		calls = [];
+		server = new FakeSoTradeServer();
+		conn = new SoTradeConnection({transport: server.transport});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('delivers each event to each listener exactly once', function() {
+		return conn.once('connected').then(function() {
+			conn.on('trade', record('a'));
+			conn.on('trade', record('b'));
+			conn.on('*', record('any'));
+			conn.on('custom', record('custom'));
+			
+			server.push({type: 'trade', n: 1});
+			server.serverTransport.emit('custom', {n: 2});
+			
+			return wait(20);
+		}).then(function() {
+			assert.deepEqual(calls.sort(), ['a:1', 'any:1', 'b:1', 'custom:2']);
+		});
+	});
+	
+	it('removes listeners via off(), removeListener() and the returned function', function() {
+		var a = record('a');
+		conn.on('trade', a);
+		conn.on('trade', a);
+		var dispose = conn.on('trade', record('b'));
+		conn.on('trade', record('c'));
+		
+		assert.strictEqual(conn.listenerCount('trade'), 4);
+		assert.strictEqual(conn.off('trade', a), conn);
+		dispose();
+		dispose();
+		assert.strictEqual(conn.listenerCount('trade'), 2);
+		
+		conn.invokeListeners({type: 'trade', n: 1});
+		conn.removeListener('trade', a);
+		conn.invokeListeners({type: 'trade', n: 2});
+		
+		assert.deepEqual(calls, ['a:1', 'c:1', 'c:2']);
+	});
+	
+	it('removes all listeners of one or all events', function() {
+		conn.on('custom', record('custom'));
+		conn.on('trade', record('a'));
+		conn.on('other', record('b'));
+		
+		assert.ok(conn.forwarders.custom);
+		conn.removeAllListeners('custom');
+		assert.strictEqual(conn.listenerCount('custom'), 0);
+		assert.ok(!conn.forwarders.custom);
+		
+		conn.removeAllListeners();
+		assert.deepEqual(conn.listeners, {});
+		
+		conn.invokeListeners({type: 'trade', n: 1});
+		server.serverTransport.emit('custom', {n: 2});
+		conn.invokeListeners({type: 'server-config', config: {x: 1}});
+		
+		return wait(10).then(function() {
+			assert.deepEqual(calls, []);
+			assert.deepEqual(conn.serverConfig, {x: 1});
+		});
+	});
+	
+	it('does not call listeners added while an event is being delivered', function() {
+		conn.on('trade', function(data) {
+			calls.push('first:' + data.n);
+			conn.on('trade', record('late'));
+		});
+		
+		conn.invokeListeners({type: 'trade', n: 1});
+		assert.deepEqual(calls, ['first:1']);
+	});
+	
+	it('removes listeners when a scope is destroyed or a signal is aborted', function() {
+		var scope = new EventEmitter();
+		var controller = new AbortController();
+		
+		conn.on('trade', record('scope'), scope);
+		conn.on('trade', record('signal'), {signal: controller.signal});
+		conn.invokeListeners({type: 'trade', n: 1});
+		
+		scope.emit('destroy');
+		controller.abort();
+		conn.invokeListeners({type: 'trade', n: 2});
+		
+		assert.deepEqual(calls, ['scope:1', 'signal:1']);
+		assert.strictEqual(conn.listenerCount('trade'), 0);
+	});
+	
+	describe('once', function() {
+		it('resolves with the arguments of the first event', function() {
+			var done = conn.once('trade', record('once'));
+			conn.invokeListeners({type: 'trade', n: 1});
+			conn.invokeListeners({type: 'trade', n: 2});
+			
+			return done.then(function(args) {
+				assert.deepEqual(args, [{type: 'trade', n: 1}]);
+				assert.deepEqual(calls, ['once:1']);
+				assert.strictEqual(conn.listenerCount('trade'), 0);
+			});
+		});
+		
+		it('can be removed via off() with the original listener', function() {
+			var cb = record('once');
+			conn.once('trade', cb);
+			conn.off('trade', cb);
+			
+			assert.strictEqual(conn.listenerCount('trade'), 0);
+		});
+		
+		it('is rejected when its signal is aborted', function() {
+			var controller = new AbortController();
+			var done = conn.once('trade', null, {signal: controller.signal});
+			controller.abort();
+			
+			return done.then(function() {
+				assert.fail('should have been rejected');
+			}, function(err) {
+				assert.strictEqual(err.name, 'AbortError');
+				assert.strictEqual(conn.listenerCount('trade'), 0);
+			});
+		});
+	});
+});
@@ -0,0 +1,127 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+var QueryMetrics = api.QueryMetrics;
+
+describe('QueryMetrics', function() {
+	var metrics;
+	
+	beforeEach(function() {
+		metrics = new QueryMetrics({buckets: [10, 100]});
+		
+		[4, 20, 200].forEach(function(cdelta) {
+			metrics.recordResponse({
+				type: 'get-a',
+				_reqsize: 10,
+				_resp_encsize: 25,
+				_resp_decsize: 50,
+				_dt: {cdelta: cdelta, sdelta: NaN, unknown: 1}
+			});
+		});
+		
+		metrics.recordFailure('get-a', {code: 'query-timeout'});
+		metrics.recordFailure('get-"b"', new Error('x'));
+	});
+	
+	it('summarizes the collected statistics per query type', function() {
+		var snapshot = metrics.snapshot();
+		var a = snapshot['get-a'];
+		
+		assert.deepEqual(Object.keys(snapshot), ['get-a', 'get-"b"']);
+		assert.strictEqual(a.responses, 3);
+		assert.strictEqual(a.timeouts, 1);
+		assert.strictEqual(a.errors, 0);
+		assert.strictEqual(snapshot['get-"b"'].errors, 1);
+		assert.strictEqual(a.requestBytes, 30);
+		assert.strictEqual(a.compressionRatio, 0.5);
+		assert.strictEqual(snapshot['get-"b"'].compressionRatio, null);
+		
+		assert.deepEqual(a.phases.cdelta, {
+			count: 3, mean: 224 / 3, p50: 20, p90: 200, p99: 200, max: 200,
+			buckets: {10: 1, 100: 2, '+Inf': 3}
+		});
+		assert.strictEqual(a.phases.sdelta.count, 0);
+		assert.strictEqual(a.phases.sdelta.mean, null);
+		assert.ok(!('unknown' in a.phases));
+		
+		assert.deepEqual(JSON.parse(JSON.stringify(metrics)), JSON.parse(JSON.stringify(snapshot)));
+	});
+	
+	it('keeps only the most recent samples for percentiles', function() {
+		metrics = new QueryMetrics({sampleSize: 2});
+		[1, 2, 3].forEach(function(value) { metrics.recordTiming('get-a', 'render', value); });
+		
+		var render = metrics.snapshot()['get-a'].phases.render;
+		assert.strictEqual(render.count, 3);
+		assert.strictEqual(render.mean, 2);
+		assert.strictEqual(render.p50, 3);
+		assert.strictEqual(render.max, 3);
+	});
+	
+	it('exports the statistics in the Prometheus format', function() {
+		var lines = metrics.toPrometheus('app').split('\n');
+		
+		assert.strictEqual(lines[0], '# HELP app_responses_total Number of received responses.');
+		assert.strictEqual(lines[1], '# TYPE app_responses_total counter');
+		assert.strictEqual(lines[2], 'app_responses_total{type="get-a"} 3');
+		assert.strictEqual(lines[3], 'app_responses_total{type="get-\\"b\\""} 0');
+		assert.ok(lines.indexOf('app_timeouts_total{type="get-a"} 1') != -1);
+		assert.ok(lines.indexOf('# TYPE app_phase_duration_ms histogram') != -1);
+		assert.ok(lines.indexOf('app_phase_duration_ms_bucket{type="get-a",phase="cdelta",le="10"} 1') != -1);
+		assert.ok(lines.indexOf('app_phase_duration_ms_bucket{type="get-a",phase="cdelta",le="+Inf"} 3') != -1);
+		assert.ok(lines.indexOf('app_phase_duration_ms_sum{type="get-a",phase="cdelta"} 224') != -1);
+		assert.strictEqual(lines[lines.length - 1], '');
+		
+		assert.ok(/^# HELP sotrade_client_responses_total /.test(metrics.toPrometheus()));
+	});
+	
+	it('can be reset', function() {
+		metrics.reset();
+		assert.deepEqual(metrics.snapshot(), {});
+	});
+	
+	describe('with a connection', function() {
+		var server, conn;
+		
+		beforeEach(function() {
+			server = new FakeSoTradeServer();
+			server.respond('get-a', {code: 'ok'});
+			conn = new SoTradeConnection({transport: server.transport});
+		});
+		
+		afterEach(function() {
+			conn.close();
+		});
+		
+		it('records responses and failures of all queries', function() {
+			return conn.emit('get-a').then(function() {
+				return conn.emit('get-b', {_timeout: 0.01});
+			}).then(function() {
+				assert.fail('should have timed out');
+			}, function() {
+				var snapshot = conn.metrics.snapshot();
+				
+				assert.strictEqual(snapshot['get-a'].responses, 1);
+				assert.strictEqual(snapshot['get-a'].phases.cdelta.count, 1);
+				assert.ok(snapshot['get-a'].requestBytes > 0);
+				assert.strictEqual(snapshot['get-b'].timeouts, 1);
+			});
+		});
+		
+		it('does not count cache hits', function() {
+			return conn.emit('get-a', {_cache: 10}).then(function() {
+				return conn.emit('get-a', {_cache: 10});
+			}).then(function() {
+				assert.strictEqual(conn.metrics.snapshot()['get-a'].responses, 1);
+			});
+		});
+	});
+});
@@ -0,0 +1,103 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+describe('protocol negotiation', function() {
+	var server, conn;
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('is disabled by default', function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', {code: 'ok'});
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return conn.emit('get-a').then(function() {
+			assert.deepEqual(server.queries.map(function(query) { return query.type; }), ['get-a']);
+			assert.strictEqual(conn.protocol, null);
+		});
+	});
+	
+	it('negotiates the version and capabilities before sending other queries', function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', function(query) { return {code: 'ok', pv: query.pv}; });
+		conn = new SoTradeConnection({transport: server.transport, negotiate: true});
+		
+		return conn.once('connected').then(function() {
+			var query = conn.emit('get-a');
+			assert.strictEqual(Object.keys(conn.pendingIDs).length, 2);
+			
+			return Promise.all([conn.ready, query]);
+		}).then(function(results) {
+			assert.strictEqual(results[0].protocol.version, 1);
+			assert.ok(results[0].protocol.capabilities.batching);
+			assert.strictEqual(results[1].pv, 1);
+			assert.deepEqual(server.queries.map(function(query) { return query.type; }), ['client-hello', 'get-a']);
+		});
+	});
+	
+	it('keeps queries issued during the handshake in their batch and reports the delay', function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('client-hello', function(query) {
+			return new Promise(function(resolve) {
+				setTimeout(function() { resolve(server.negotiate(query)); }, 30);
+			});
+		});
+		server.respond('get-a', {code: 'ok'});
+		conn = new SoTradeConnection({transport: server.transport, negotiate: true});
+		
+		var queries = conn.batch(function() {
+			return [conn.emit('get-a', {n: 1}), conn.emit('get-a', {n: 2})];
+		});
+		
+		return Promise.all(queries).then(function(responses) {
+			assert.strictEqual(server.containers.length, 1);
+			assert.ok(responses[0]._dt.csched >= 25);
+		});
+	});
+	
+	it('refuses queries issued during the handshake unless queueBeforeReady is set', function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		conn = new SoTradeConnection({transport: server.transport, negotiate: true, queueBeforeReady: false});
+		
+		return conn.emit('get-a').then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.ok(err instanceof SoTradeConnection.NotReadyError);
+			assert.strictEqual(err.code, 'not-ready');
+		});
+	});
+	
+	it('falls back to the legacy protocol if the server does not answer', function() {
+		server = new FakeSoTradeServer({serverConfig: {}, handshake: false});
+		server.respond('get-a', {code: 'ok'});
+		conn = new SoTradeConnection({transport: server.transport, negotiate: true, negotiationTimeout: 0.02});
+		
+		return conn.emit('get-a').then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			assert.ok(conn.protocol.legacy);
+		});
+	});
+	
+	it('closes the connection if there is no common protocol version', function() {
+		server = new FakeSoTradeServer({serverConfig: {}, handshake: {versions: {min: 2, max: 3}, capabilities: {}}});
+		conn = new SoTradeConnection({transport: server.transport, negotiate: true});
+		
+		return conn.ready.then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.code, 'protocol-unsupported');
+			assert.strictEqual(conn.state, 'closed');
+		});
+	});
+});
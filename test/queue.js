@@ -0,0 +1,102 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var SoTradeConnection = require('../index.js').SoTradeConnection;
+var MockSocket = require('./helpers/mock-socket.js').MockSocket;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+var types = function(queries) {
+	return queries.map(function(query) { return query.type; });
+};
+
+describe('outbound queue', function() {
+	var socket, conn;
+	
+	beforeEach(function() {
+		socket = new MockSocket();
+		socket.connected = false;
+		conn = new SoTradeConnection({connect: function() { return socket; }});
+	});
+	
+	it('buffers queries issued while disconnected', function() {
+		var answered = conn.emit('get-a');
+		conn.emit('get-b', {_timeout: 0});
+		
+		assert.strictEqual(conn.queueLength(), 2);
+		assert.deepEqual(socket.queries, []);
+		
+		return wait(20).then(function() {
+			assert.ok(conn.queueAge() >= 15);
+			
+			socket.emit('connect');
+			return wait(10);
+		}).then(function() {
+			assert.deepEqual(types(socket.queries), ['get-a', 'get-b']);
+			assert.strictEqual(conn.queueLength(), 0);
+			assert.strictEqual(conn.queueAge(), 0);
+			
+			socket.respond(socket.queries[0], {code: 'ok'});
+			socket.respond(socket.queries[1], {code: 'ok'});
+			return answered;
+		}).then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+		});
+	});
+	
+	it('removes queries which time out from the queue', function() {
+		return conn.emit('get-a', {_timeout: 0.01}).then(null, function(err) {
+			assert.strictEqual(err.code, 'query-timeout');
+			assert.strictEqual(conn.queueLength(), 0);
+		});
+	});
+	
+	it('replays only idempotent in-flight queries after reconnecting', function() {
+		socket.emit('connect');
+		
+		return wait(10).then(function() {
+			conn.emit('get-a', {_timeout: 0});
+			conn.emit('stock-buy', {_timeout: 0});
+			conn.emit('change-options', {_timeout: 0, _idempotent: false});
+			assert.deepEqual(types(socket.queries), ['get-a', 'stock-buy', 'change-options']);
+			
+			socket.connected = false;
+			socket.emit('disconnect');
+			return wait(10);
+		}).then(function() {
+			assert.strictEqual(conn.queueLength(), 1);
+			
+			socket.emit('connect');
+			return wait(10);
+		}).then(function() {
+			assert.deepEqual(types(socket.queries), ['get-a', 'stock-buy', 'change-options', 'get-a']);
+			assert.strictEqual(socket.queries[3].id, socket.queries[0].id);
+		});
+	});
+	
+	it('lets queries override whether they are idempotent', function() {
+		assert.ok(conn.isIdempotent('get-a'));
+		assert.ok(!conn.isIdempotent('stock-buy'));
+		assert.ok(conn.isIdempotent('stock-buy', {_idempotent: true}));
+		assert.ok(!conn.isIdempotent('get-a', {_idempotent: false}));
+	});
+	
+	it('treats only read-only query types as idempotent by default', function() {
+		assert.ok(conn.isIdempotent('get-user-info'));
+		assert.ok(conn.isIdempotent('list-schools'));
+		assert.ok(!conn.isIdempotent('change-options'));
+		assert.ok(!conn.isIdempotent('comment'));
+		
+		conn.idempotentTypes = [/^get-/, 'ping'];
+		conn.nonIdempotentTypes = ['get-and-reset'];
+		assert.ok(conn.isIdempotent('ping'));
+		assert.ok(!conn.isIdempotent('list-schools'));
+		assert.ok(!conn.isIdempotent('get-and-reset'));
+	});
+});
@@ -0,0 +1,140 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var SoTradeConnection = require('../index.js').SoTradeConnection;
+var MockSocket = require('./helpers/mock-socket.js').MockSocket;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('reconnecting', function() {
+	describe('exponentialBackoff', function() {
+		it('doubles the delay up to the maximum', function() {
+			var policy = SoTradeConnection.exponentialBackoff({initialDelay: 100, maxDelay: 500, jitter: 0});
+			
+			assert.deepEqual([1, 2, 3, 4, 10].map(policy.delay), [100, 200, 400, 500, 500]);
+		});
+		
+		it('randomizes the given fraction of the delay', function() {
+			var policy = SoTradeConnection.exponentialBackoff({initialDelay: 1000, factor: 1, jitter: 0.5});
+			var delays = [];
+			for (var i = 1; i <= 50; ++i)
+				delays.push(policy.delay(i));
+			
+			delays.forEach(function(delay) {
+				assert.ok(delay >= 500 && delay <= 1000);
+			});
+			assert.ok(delays.some(function(delay) { return delay != delays[0]; }));
+		});
+		
+		it('gives up after maxAttempts', function() {
+			var policy = SoTradeConnection.exponentialBackoff({maxAttempts: 2, jitter: 0});
+			
+			assert.deepEqual([1, 2, 3].map(policy.delay), [2300, 4600, null]);
+		});
+	});
+	
+	describe('with a connection', function() {
+		var socket, conn, events;
+		
+		beforeEach(function() {
+			events = [];
+			socket = new MockSocket();
+			conn = new SoTradeConnection({
+				connect: function() { return socket; },
+				reconnectPolicy: function(attempt) { return attempt <= 2 ? 10 * attempt : null; }
+			});
+			
+			['reconnect-scheduled', 'reconnect-attempt', 'reconnect-failed'].forEach(function(type) {
+				conn.on(type, function(data) {
+					events.push([type, data.attempt || data.attempts, data.delay]);
+				});
+			});
+		});
+		
+		afterEach(function() {
+			conn.stopReconnecting();
+		});
+		
+		it('retries according to the policy and gives up when it says so', function() {
+			socket.emit('disconnect');
+			
+			return wait(30).then(function() {
+				assert.strictEqual(socket.connectAttempts, 1);
+				socket.emit('connect_error');
+				return wait(50);
+			}).then(function() {
+				assert.strictEqual(socket.connectAttempts, 2);
+				socket.emit('connect_error');
+				return wait(10);
+			}).then(function() {
+				assert.deepEqual(events, [
+					['reconnect-scheduled', 1, 10],
+					['reconnect-attempt', 1, undefined],
+					['reconnect-scheduled', 2, 20],
+					['reconnect-attempt', 2, undefined],
+					['reconnect-failed', 2, undefined]
+				]);
+			});
+		});
+		
+		it('enters the disconnected state before reporting that it gave up', function() {
+			var order = [];
+			conn.on('state-change', function(data) { order.push(data.from + '>' + data.to); });
+			conn.on('reconnect-failed', function() { order.push('reconnect-failed'); });
+			socket.emit('disconnect');
+			
+			return wait(30).then(function() {
+				socket.emit('connect_error');
+				return wait(50);
+			}).then(function() {
+				socket.emit('connect_error');
+				return wait(10);
+			}).then(function() {
+				assert.strictEqual(conn.state, 'disconnected');
+				assert.deepEqual(order, [
+					'connecting>connected',
+					'connected>disconnected',
+					'disconnected>reconnecting',
+					'reconnecting>disconnected',
+					'reconnect-failed'
+				]);
+			});
+		});
+		
+		it('starts over after a successful connect', function() {
+			socket.emit('disconnect');
+			
+			return wait(30).then(function() {
+				socket.emit('connect');
+				return wait(10);
+			}).then(function() {
+				assert.strictEqual(conn.reconnectAttempts, 0);
+				socket.emit('disconnect');
+				return wait(30);
+			}).then(function() {
+				assert.deepEqual(events.map(function(e) { return e[1]; }), [1, 1, 1, 1]);
+			});
+		});
+		
+		it('can be stopped and resumed manually', function() {
+			socket.emit('disconnect');
+			
+			return wait(5).then(function() {
+				conn.stopReconnecting();
+				return wait(30);
+			}).then(function() {
+				assert.strictEqual(socket.connectAttempts, undefined);
+				
+				conn.reconnectNow();
+				assert.strictEqual(socket.connectAttempts, 1);
+				assert.ok(conn.autoReconnect);
+			});
+		});
+	});
+});
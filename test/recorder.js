@@ -0,0 +1,259 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+var TrafficRecorder = api.TrafficRecorder;
+var ReplayTransport = api.ReplayTransport;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('TrafficRecorder', function() {
+	var server, conn, recorder;
+	
+	beforeEach(function() {
+		recorder = new TrafficRecorder();
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', function(query) { return {code: 'ok', n: query.n, password: 'secret'}; });
+		conn = new SoTradeConnection({transport: server.transport, recorder: recorder});
+		conn.setKey('session-key');
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	var record = function() {
+		return conn.emit('get-a', {n: 1, pw: 'hunter2'}).then(function() {
+			return conn.emit('get-a', {n: 2});
+		});
+	};
+	
+	it('records queries and responses with sensitive fields redacted', function() {
+		return record().then(function() {
+			var entries = recorder.entries;
+			var events = entries.map(function(entry) { return entry.dir + ':' + entry.event; });
+			
+			assert.ok(events.indexOf('conn:connect') != -1);
+			assert.ok(events.indexOf('in:response') != -1);
+			
+			var query = entries[events.indexOf('out:query')];
+			assert.strictEqual(query.queries[0].n, 1);
+			var key = query.queries[0].key;
+			assert.ok(/^\[redacted-\d+\]$/.test(key));
+			assert.ok(/^\[redacted-\d+\]$/.test(query.queries[0].pw));
+			assert.notStrictEqual(query.queries[0].pw, key);
+			assert.deepEqual(query.encodings, ['raw']);
+			
+			var responses = entries.filter(function(entry) { return entry.event == 'response'; });
+			var response = responses[0];
+			assert.strictEqual(response.decoded.n, 1);
+			assert.ok(/^\[redacted-\d+\]$/.test(response.decoded.password));
+			assert.notStrictEqual(response.decoded.password, key);
+			assert.strictEqual(responses[1].decoded.password, response.decoded.password);
+			
+			var second = entries.filter(function(entry) { return entry.event == 'query'; })[1];
+			assert.strictEqual(second.queries[0].key, key);
+			assert.strictEqual(response.envelope.e, 'raw');
+			assert.ok(response.envelope.size > 0);
+			assert.ok(!response.envelope.s);
+			
+			for (var i = 1; i < entries.length; ++i)
+				assert.strictEqual(entries[i].seq, entries[i - 1].seq + 1);
+		});
+	});
+	
+	it('discards the oldest entries beyond maxEntries', function() {
+		recorder.maxEntries = 2;
+		
+		return record().then(function() {
+			assert.strictEqual(recorder.entries.length, 2);
+			assert.ok(recorder.dropped > 0);
+			
+			recorder.clear();
+			assert.strictEqual(recorder.entries.length, 0);
+			assert.strictEqual(recorder.dropped, 0);
+		});
+	});
+	
+	it('exports and parses JSON lines', function() {
+		var written = null;
+		var fs = {
+			writeFile: function(path, text) {
+				written = [path, text];
+				return Promise.resolve();
+			}
+		};
+		
+		return record().then(function() {
+			var text = recorder.toJSONLines();
+			assert.strictEqual(text.split('\n').length, recorder.entries.length + 1);
+			assert.deepEqual(TrafficRecorder.parse(text + '\n'), recorder.entries);
+			
+			return recorder.writeFile('traffic.jsonl', fs);
+		}).then(function() {
+			assert.deepEqual(written, ['traffic.jsonl', recorder.toJSONLines()]);
+		});
+	});
+	
+	it('records disconnects along with their reason', function() {
+		return wait(10).then(function() {
+			server.disconnect(true);
+			return wait(10);
+		}).then(function() {
+			var last = recorder.entries[recorder.entries.length - 1];
+			assert.strictEqual(last.dir, 'conn');
+			assert.strictEqual(last.event, 'disconnect');
+			assert.ok(last.reason);
+		});
+	});
+	
+	it('keeps the original payloads if asked to, with sensitive fields redacted', function() {
+		recorder.rawPayloads = true;
+		
+		return record().then(function() {
+			var response = recorder.entries.filter(function(entry) { return entry.event == 'response'; })[0];
+			var payload = JSON.parse(response.envelope.s);
+			assert.strictEqual(payload.n, 1);
+			assert.strictEqual(payload.password, response.decoded.password);
+			assert.strictEqual(response.envelope.s.indexOf('secret'), -1);
+		});
+	});
+	
+	it('discards compressed payloads which contain sensitive fields', function() {
+		recorder.rawPayloads = true;
+		
+		var entry = recorder.recordIncoming('response', {e: 'lzma', s: [1, 2, 3]});
+		recorder.recordDecoded(entry, {code: 'ok', key: 'k'});
+		assert.strictEqual(entry.envelope.s, undefined);
+		assert.ok(entry.envelope.redacted);
+		
+		entry = recorder.recordIncoming('response', {e: 'lzma', s: [1, 2, 3]});
+		recorder.recordDecoded(entry, {code: 'ok'});
+		assert.deepEqual(entry.envelope.s, [1, 2, 3]);
+	});
+});
+
+describe('ReplayTransport', function() {
+	var conn;
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	var recordSession = function(opt) {
+		var recorder = new TrafficRecorder(opt);
+		var server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', function(query) { return {code: 'ok', n: query.n}; });
+		
+		var recording = new SoTradeConnection({transport: server.transport, recorder: recorder});
+		
+		return recording.emit('get-a', {n: 1}).then(function() {
+			return recording.emit('get-a', {n: 2});
+		}).then(function() {
+			recording.close();
+			return TrafficRecorder.parse(recorder.toJSONLines());
+		});
+	};
+	
+	it('plays back a recording in lockstep with the client', function() {
+		var transport, ended = false;
+		
+		return recordSession().then(function(entries) {
+			transport = new ReplayTransport(entries);
+			transport.on('end', function() { ended = true; });
+			
+			conn = new SoTradeConnection({transport: transport});
+			conn.id = 100; // the IDs need not match the recorded ones
+			
+			return conn.emit('get-a', {n: 1});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 1);
+			assert.strictEqual(response['is-reply-to'], 'get-a--101');
+			
+			return conn.emit('get-a', {n: 2});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 2);
+			assert.strictEqual(transport.sent.length, 2);
+			assert.deepEqual(transport.mismatches, []);
+			
+			return wait(10);
+		}).then(function() {
+			assert.ok(transport.done);
+			assert.ok(ended);
+		});
+	});
+	
+	it('reports queries which differ from the recorded ones', function() {
+		var transport;
+		
+		return recordSession().then(function(entries) {
+			transport = new ReplayTransport(entries);
+			conn = new SoTradeConnection({transport: transport});
+			
+			return conn.emit('get-b', {n: 1});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 1);
+			assert.deepEqual(transport.mismatches, [{index: 0, expected: 'get-a', actual: 'get-b'}]);
+		});
+	});
+	
+	it('replays the original payloads if they were recorded', function() {
+		return recordSession({rawPayloads: true}).then(function(entries) {
+			conn = new SoTradeConnection({transport: new ReplayTransport(entries)});
+			
+			return conn.emit('get-a', {n: 1});
+		}).then(function(response) {
+			assert.strictEqual(response.n, 1);
+			assert.strictEqual(response['is-reply-to'], 'get-a--1');
+		});
+	});
+});
+
+describe('ReplayTransport with redacted keys', function() {
+	var conn;
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	[false, true].forEach(function(rawPayloads) {
+		it('replays redacted keys as consistent placeholders' + (rawPayloads ? ' from the original payloads' : ''), function() {
+			var recorder = new TrafficRecorder({rawPayloads: rawPayloads});
+			var server = new FakeSoTradeServer({serverConfig: {}});
+			server.respond('login', {code: 'login-success', key: 'real-key'});
+			server.respond('get-a', {code: 'ok'});
+			
+			var recording = new SoTradeConnection({transport: server.transport, recorder: recorder});
+			var transport;
+			
+			return recording.emit('login', {name: 'a', pw: 'b'}).then(function() {
+				return recording.emit('get-a');
+			}).then(function() {
+				recording.close();
+				assert.strictEqual(recorder.toJSONLines().indexOf('real-key'), -1);
+				
+				transport = new ReplayTransport(TrafficRecorder.parse(recorder.toJSONLines()));
+				conn = new SoTradeConnection({transport: transport});
+				
+				return conn.emit('login', {name: 'a', pw: 'b'});
+			}).then(function(response) {
+				assert.ok(/^replay-key-\d+$/.test(response.key));
+				assert.strictEqual(conn.getKey(), response.key);
+				
+				return conn.emit('get-a');
+			}).then(function() {
+				assert.strictEqual(transport.sent[1][1].key, conn.getKey());
+				assert.deepEqual(transport.mismatches, []);
+			});
+		});
+	});
+});
@@ -0,0 +1,91 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+describe('retry policies', function() {
+	var server, conn;
+	
+	beforeEach(function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			retryPolicy: {initialDelay: 5, jitter: 0}
+		});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('retries idempotent queries and rebuilds them with the current key', function() {
+		var retries = [];
+		conn.on('query-retry', function(data) { retries.push(data.attempt); });
+		conn.setKey('old-key');
+		
+		server.respondOnce('get-a', function() {
+			conn.setKey('new-key');
+			return {code: 'internal-server-error'};
+		});
+		server.respond('get-a', {code: 'ok'});
+		
+		return conn.emit('get-a', {x: 1}).then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			assert.deepEqual(retries, [2]);
+			assert.deepEqual(server.queries.map(function(query) { return query.key; }), ['old-key', 'new-key']);
+			assert.strictEqual(server.queries[1].x, 1);
+		});
+	});
+	
+	it('does not retry queries which are not idempotent', function() {
+		server.respond('stock-buy', {code: 'internal-server-error'});
+		
+		return conn.emit('stock-buy').then(function(response) {
+			assert.strictEqual(response.code, 'internal-server-error');
+			assert.strictEqual(server.queries.length, 1);
+		});
+	});
+	
+	it('gives up after the maximum number of attempts', function() {
+		server.respond('get-a', {code: 'internal-server-error'});
+		
+		return conn.emit('get-a').then(function(response) {
+			assert.strictEqual(response.code, 'internal-server-error');
+			assert.strictEqual(server.queries.length, 3);
+		});
+	});
+	
+	it('fails queries waiting to be retried right away when the connection is closed', function() {
+		var retrying = new SoTradeConnection({
+			transport: server.transport,
+			retryPolicy: {initialDelay: 10000, jitter: 0}
+		});
+		var callbackData = null;
+		
+		server.respond('get-a', {code: 'internal-server-error'});
+		
+		var closed;
+		var answered = retrying.emit('get-a', {}, function(data) { callbackData = data; });
+		retrying.on('query-retry', function() {
+			closed = Date.now();
+			retrying.close();
+		});
+		
+		return answered.then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.strictEqual(err.code, 'connection-closed');
+			assert.ok(Date.now() - closed < 1000);
+			assert.strictEqual(callbackData.code, 'connection-closed');
+			assert.strictEqual(server.queries.length, 1);
+			assert.deepEqual(retrying.retrying, {});
+		});
+	});
+});
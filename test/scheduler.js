@@ -0,0 +1,85 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+describe('outbound scheduling', function() {
+	var server, conn;
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('sends interactive queries before rate-limited background ones', function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-prefetch', {code: 'ok'});
+		server.respond('stock-buy', {code: 'ok'});
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			rateLimit: {rate: 50, burst: 2},
+			priorities: {'get-prefetch': 'background'}
+		});
+		
+		return conn.ready.then(function() {
+			var queries = [0, 1, 2, 3].map(function(n) { return conn.emit('get-prefetch', {n: n}); });
+			queries.push(conn.emit('stock-buy'));
+			
+			return Promise.all(queries);
+		}).then(function(responses) {
+			var order = server.queries.map(function(query) { return query.type + (query.n || ''); });
+			assert.deepEqual(order, ['get-prefetch', 'get-prefetch1', 'stock-buy', 'get-prefetch2', 'get-prefetch3']);
+			assert.ok(responses[3]._dt.csched > 0);
+		});
+	});
+	
+	it('limits queries of a type without delaying other types', function() {
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-a', {code: 'ok'});
+		server.respond('get-b', {code: 'ok'});
+		conn = new SoTradeConnection({transport: server.transport, rateLimits: {'get-a': {rate: 20, burst: 1}}});
+		
+		return conn.ready.then(function() {
+			return Promise.all([conn.emit('get-a', {n: 1}), conn.emit('get-a', {n: 2}), conn.emit('get-b')]);
+		}).then(function(responses) {
+			assert.deepEqual(server.queries.map(function(query) { return query.type; }), ['get-a', 'get-b', 'get-a']);
+			assert.ok(responses[1]._dt.csched >= 40);
+			assert.ok(responses[2]._dt.csched < 40);
+		});
+	});
+	
+	it('respects the concurrency limit from the server config', function() {
+		var active = 0, peak = 0;
+		
+		server = new FakeSoTradeServer({serverConfig: {maxConcurrency: 2}});
+		server.respond('get-a', function() {
+			peak = Math.max(peak, ++active);
+			return new Promise(function(resolve) {
+				setTimeout(function() {
+					active--;
+					resolve({code: 'ok'});
+				}, 10);
+			});
+		});
+		conn = new SoTradeConnection({transport: server.transport});
+		
+		return conn.ready.then(function() {
+			assert.strictEqual(conn.concurrencyLimit(), 2);
+			
+			var queries = [];
+			for (var i = 0; i < 6; ++i)
+				queries.push(conn.emit('get-a', {n: i}));
+			
+			assert.strictEqual(conn.queueLength(), 4);
+			return Promise.all(queries);
+		}).then(function() {
+			assert.strictEqual(peak, 2);
+		});
+	});
+});
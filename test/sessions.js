@@ -0,0 +1,110 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('named sessions', function() {
+	var server, conn, events;
+	
+	beforeEach(function() {
+		events = [];
+		server = new FakeSoTradeServer();
+		server.respond('login', function(query) { return {code: 'login-success', key: 'key-' + query.name}; });
+		server.respond('logout', {code: 'logout-success'});
+		server.respond('get-user-info', function(query) {
+			if (!query.key)
+				return {code: 'not-logged-in'};
+			
+			return {code: 'ok', user: query.key.replace(/^key-/, ''), t: Date.now()};
+		});
+		
+		conn = new SoTradeConnection({transport: server.transport});
+		['session-started', 'session-ended'].forEach(function(type) {
+			conn.on(type, function(data) { events.push(type + ':' + data.session + ':' + (data.reason || '')); });
+		});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	var login = function() {
+		return Promise.all([
+			conn.as('alice').emit('login', {name: 'alice'}),
+			conn.as('bob').emit('login', {name: 'bob'})
+		]);
+	};
+	
+	it('keeps a separate key per session', function() {
+		return login().then(function() {
+			assert.strictEqual(conn.as('alice').getKey(), 'key-alice');
+			assert.strictEqual(conn.as('bob').getKey(), 'key-bob');
+			assert.strictEqual(conn.getKey(), null);
+			assert.strictEqual(conn.as('alice'), conn.sessions.alice);
+			
+			return Promise.all([
+				conn.as('alice').emit('get-user-info'),
+				conn.as('bob').emit('get-user-info', {_cache: 10}),
+				conn.emit('get-user-info')
+			]);
+		}).then(function(responses) {
+			assert.deepEqual(responses.map(function(r) { return r.user || r.code; }), ['alice', 'bob', 'not-logged-in']);
+			assert.deepEqual(events, ['session-started:alice:', 'session-started:bob:']);
+		});
+	});
+	
+	it('keeps a separate cache per session', function() {
+		return login().then(function() {
+			return conn.as('alice').emit('get-user-info', {_cache: 10});
+		}).then(function() {
+			return Promise.all([
+				conn.as('alice').emit('get-user-info', {_cache: 10}),
+				conn.as('bob').emit('get-user-info', {_cache: 10})
+			]);
+		}).then(function(responses) {
+			assert.deepEqual(responses.map(function(r) { return r.user; }), ['alice', 'bob']);
+			assert.strictEqual(server.queries.filter(function(q) { return q.type == 'get-user-info'; }).length, 2);
+			assert.strictEqual(conn.as('alice').qCache.count, 1);
+			assert.strictEqual(conn.as('bob').qCache.count, 1);
+			
+			assert.strictEqual(conn.as('bob').invalidateCache('get-user-info'), 1);
+			assert.strictEqual(conn.invalidateCache('get-user-info'), 1);
+		});
+	});
+	
+	it('ends only the session which logs out', function() {
+		return login().then(function() {
+			return conn.as('alice').emit('logout');
+		}).then(function() {
+			return wait(10);
+		}).then(function() {
+			assert.strictEqual(conn.as('alice').getKey(), null);
+			assert.strictEqual(conn.as('bob').getKey(), 'key-bob');
+			assert.deepEqual(events.slice(2), ['session-ended:alice:logout']);
+		});
+	});
+	
+	it('can use its own key storage', function() {
+		var stored = 'key-carol';
+		var session = conn.as('carol', {keyStorage: {
+			getKey: function() { return stored; },
+			setKey: function(k) { stored = k; }
+		}});
+		
+		return session.emit('get-user-info').then(function(response) {
+			assert.strictEqual(response.user, 'carol');
+			assert.deepEqual(events, ['session-started:carol:']);
+		});
+	});
+});
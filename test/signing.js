@@ -0,0 +1,142 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+var SignedMessaging = api.SignedMessaging;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('SignedMessaging', function() {
+	var client, server;
+	
+	beforeEach(function() {
+		client = new SignedMessaging();
+		server = new SignedMessaging();
+		
+		return Promise.all([client.generateKeys(), server.generateKeys()]);
+	});
+	
+	it('verifies messages signed with an accepted key', function() {
+		return client.createSignedMessage({a: 'ü'}).then(function(msg) {
+			return client.verifySignedMessage(msg);
+		}).then(function(msg) {
+			assert.deepEqual(msg, {a: 'ü'});
+		});
+	});
+	
+	it('rejects replayed and tampered messages', function() {
+		var signed, results = [];
+		var verify = function(verifier, msg) {
+			return verifier.verifySignedMessage(msg).then(function(result) {
+				results.push(result);
+			});
+		};
+		
+		return client.createSignedMessage({a: 1}).then(function(msg) {
+			signed = msg;
+			return verify(client, signed);
+		}).then(function() {
+			return verify(client, signed);
+		}).then(function() {
+			return verify(client, signed.replace('#', '#1'));
+		}).then(function() {
+			return verify(server, signed);
+		}).then(function() {
+			assert.deepEqual(results, [{a: 1}, null, null, null]);
+		});
+	});
+	
+	it('accepts only one of several copies of a message verified concurrently', function() {
+		return client.createSignedMessage({a: 1}).then(function(msg) {
+			return Promise.all([
+				client.verifySignedMessage(msg),
+				client.verifySignedMessage(msg),
+				client.verifySignedMessage(msg)
+			]);
+		}).then(function(results) {
+			assert.deepEqual(results, [{a: 1}, null, null]);
+		});
+	});
+	
+	it('does not reserve the nonces of messages with invalid signatures', function() {
+		var signed;
+		
+		return client.createSignedMessage({a: 1}).then(function(msg) {
+			signed = msg;
+			return server.verifySignedMessage(signed);
+		}).then(function(result) {
+			assert.strictEqual(result, null);
+			assert.deepEqual(server.seenNonces, {});
+			
+			return client.exportKeys();
+		}).then(function(keys) {
+			return server.addPublicKey(keys.publicKey);
+		}).then(function() {
+			return server.verifySignedMessage(signed);
+		}).then(function(result) {
+			assert.deepEqual(result, {a: 1});
+		});
+	});
+	
+	describe('with a connection', function() {
+		var fake, conn;
+		
+		afterEach(function() {
+			conn.close();
+		});
+		
+		it('signs queries and verifies signed push events', function() {
+			var verifier = new SignedMessaging();
+			var clientVerifier = new SignedMessaging();
+			var received = [];
+			
+			return Promise.all([
+				client.exportKeys().then(function(keys) { return verifier.addPublicKey(keys.publicKey); }),
+				server.exportKeys().then(function(keys) { return clientVerifier.addPublicKey(keys.publicKey); })
+			]).then(function() {
+				fake = new FakeSoTradeServer({messageVerifier: verifier, messageSigner: server});
+				fake.respond('admin', function(query) { return {code: query._verified ? 'ok' : 'unsigned'}; });
+				
+				conn = new SoTradeConnection({
+					transport: fake.transport,
+					messageSigner: client,
+					messageVerifier: clientVerifier,
+					signedPushTypes: ['announce']
+				});
+				conn.on('announce', function(data) { received.push(data.text); });
+				
+				return conn.emit('admin');
+			}).then(function(response) {
+				assert.strictEqual(response.code, 'ok');
+				
+				fake.push({type: 'announce', text: 'forged'});
+				return fake.pushSigned({type: 'announce', text: 'real'});
+			}).then(function() {
+				return wait(30);
+			}).then(function() {
+				assert.deepEqual(received, ['real']);
+			});
+		});
+		
+		it('fails queries right away when signing fails', function() {
+			fake = new FakeSoTradeServer();
+			conn = new SoTradeConnection({transport: fake.transport, messageSigner: new SignedMessaging()});
+			
+			return conn.emit('admin').then(function() {
+				assert.fail('should have been rejected');
+			}, function(err) {
+				assert.ok(/private key/.test(err.message));
+				assert.deepEqual(Object.keys(conn.pendingIDs), []);
+			});
+		});
+	});
+});
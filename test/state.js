@@ -0,0 +1,121 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var SoTradeConnection = require('../index.js').SoTradeConnection;
+var MockSocket = require('./helpers/mock-socket.js').MockSocket;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('connection state', function() {
+	var socket, conn, events;
+	
+	beforeEach(function() {
+		events = [];
+		socket = new MockSocket();
+		socket.connected = false;
+		conn = new SoTradeConnection({
+			connect: function() { return socket; },
+			reconnectPolicy: function() { return 10; }
+		});
+		
+		['state-change', 'connected', 'disconnected', 'reconnected', 'closed'].forEach(function(type) {
+			conn.on(type, function(data) {
+				events.push(type == 'state-change' ? data.from + '>' + data.to : type);
+			});
+		});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('emits lifecycle events in order', function() {
+		assert.strictEqual(conn.state, 'connecting');
+		socket.emit('connect');
+		
+		return wait(10).then(function() {
+			assert.strictEqual(conn.state, 'connected');
+			socket.emit('disconnect', 'transport close');
+			return wait(20);
+		}).then(function() {
+			assert.strictEqual(conn.state, 'reconnecting');
+			socket.emit('connect');
+			return wait(10);
+		}).then(function() {
+			assert.deepEqual(events, [
+				'connecting>connected', 'connected',
+				'connected>disconnected', 'disconnected',
+				'disconnected>reconnecting',
+				'reconnecting>connected', 'connected', 'reconnected'
+			]);
+		});
+	});
+	
+	it('reports the initial connect of transports which are connected already', function() {
+		var connected = new MockSocket();
+		var received = [];
+		
+		var other = new SoTradeConnection({connect: function() { return connected; }});
+		other.on('state-change', function(data) { received.push(data.from + '>' + data.to); });
+		other.on('connected', function() { received.push('connected'); });
+		
+		var query = other.emit('get-a');
+		assert.strictEqual(other.state, 'connecting');
+		
+		return wait(10).then(function() {
+			assert.strictEqual(other.state, 'connected');
+			assert.deepEqual(received, ['connecting>connected', 'connected']);
+			
+			connected.respond(connected.queries[0], {code: 'ok'});
+			return query;
+		}).then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			other.close();
+		});
+	});
+	
+	it('passes the disconnect reason on', function() {
+		var reason = null;
+		conn.on('disconnected', function(data) { reason = data.reason; });
+		
+		socket.emit('connect');
+		socket.emit('disconnect', 'ping timeout');
+		
+		return wait(10).then(function() {
+			assert.strictEqual(reason, 'ping timeout');
+		});
+	});
+	
+	it('fails pending and later queries when closed', function() {
+		var pending = conn.emit('get-a');
+		conn.close();
+		conn.close();
+		
+		assert.strictEqual(conn.state, 'closed');
+		assert.ok(socket.closed);
+		assert.deepEqual(events, ['connecting>closed', 'closed']);
+		
+		return Promise.all([pending, conn.emit('get-b')].map(function(query) {
+			return query.then(function() {
+				assert.fail('should have been rejected');
+			}, function(err) {
+				assert.ok(err instanceof SoTradeConnection.ConnectionClosedError);
+				assert.strictEqual(err.code, 'connection-closed');
+			});
+		})).then(function() {
+			assert.deepEqual(socket.queries, []);
+			
+			socket.emit('disconnect');
+			return wait(30);
+		}).then(function() {
+			assert.strictEqual(socket.connectAttempts, undefined);
+			assert.strictEqual(conn.state, 'closed');
+		});
+	});
+});
@@ -0,0 +1,88 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var SoTradeConnection = require('../index.js').SoTradeConnection;
+var MockSocket = require('./helpers/mock-socket.js').MockSocket;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('query timeouts', function() {
+	var socket, conn;
+	
+	beforeEach(function() {
+		socket = new MockSocket();
+		conn = new SoTradeConnection({
+			connect: function() { return socket; },
+			queryTimeout: 0.02
+		});
+	});
+	
+	it('rejects unanswered queries with a QueryTimeoutError', function() {
+		var cbData = null;
+		
+		return conn.emit('get-a', function(data) { cbData = data; }).then(function() {
+			assert.fail('should have been rejected');
+		}, function(err) {
+			assert.ok(err instanceof SoTradeConnection.QueryTimeoutError);
+			assert.ok(err instanceof Error);
+			assert.strictEqual(err.code, 'query-timeout');
+			assert.strictEqual(err.type, 'get-a');
+			assert.strictEqual(err.id, 'get-a--1');
+			assert.strictEqual(err.timeout, 0.02);
+			
+			assert.strictEqual(cbData.code, 'query-timeout');
+			assert.strictEqual(cbData._error, err);
+			assert.deepEqual(Object.keys(conn.pendingIDs), []);
+		});
+	});
+	
+	it('lets queries override the default timeout', function() {
+		var start = Date.now();
+		
+		return conn.emit('get-a', {_timeout: 0.06}).then(null, function(err) {
+			assert.strictEqual(err.timeout, 0.06);
+			assert.ok(Date.now() - start >= 50);
+		});
+	});
+	
+	it('does not time out answered queries', function() {
+		var query = conn.emit('get-a');
+		
+		return wait(5).then(function() {
+			socket.respond(socket.queries[0], {code: 'ok'});
+			return query;
+		}).then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			return wait(40);
+		}).then(function() {
+			assert.deepEqual(Object.keys(conn.pendingIDs), []);
+		});
+	});
+	
+	it('ignores responses which arrive after the timeout', function() {
+		var calls = 0;
+		
+		return conn.emit('get-a', function() { calls++; }).then(null, function() {
+			socket.respond(socket.queries[0], {code: 'ok'});
+			return wait(10);
+		}).then(function() {
+			assert.strictEqual(calls, 1);
+		});
+	});
+	
+	it('can be disabled', function() {
+		var query = conn.emit('get-a', {_timeout: 0});
+		
+		return wait(40).then(function() {
+			assert.strictEqual(Object.keys(conn.pendingIDs).length, 1);
+			socket.respond(socket.queries[0], {code: 'ok'});
+			return query;
+		});
+	});
+});
@@ -0,0 +1,219 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+var transports = require('../transports.js');
+var MockSocket = require('./helpers/mock-socket.js').MockSocket;
+
+var SoTradeConnection = api.SoTradeConnection;
+var SocketIOTransport = api.SocketIOTransport;
+var WebSocketTransport = api.WebSocketTransport;
+var LoopbackTransport = api.LoopbackTransport;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+/* records instances and sent messages, and lets the test open/close them */
+var FakeWebSocket = function(url, protocols) {
+	this.url = url;
+	this.protocols = protocols;
+	this.readyState = 0;
+	this.sent = [];
+	FakeWebSocket.instances.push(this);
+};
+
+FakeWebSocket.prototype.send = function(msg) {
+	this.sent.push(JSON.parse(msg));
+};
+
+FakeWebSocket.prototype.open = function() {
+	this.readyState = 1;
+	this.onopen();
+};
+
+FakeWebSocket.prototype.close = function() {
+	this.readyState = 3;
+	if (this.onclose)
+		this.onclose({reason: 'normal'});
+};
+
+describe('transports', function() {
+	describe('SocketIOTransport', function() {
+		it('maps the transport interface onto a socket.io socket', function() {
+			var socket = new MockSocket();
+			var transport = transports.toTransport(socket);
+			var received = [];
+			
+			assert.ok(transport instanceof SocketIOTransport);
+			assert.strictEqual(transport.raw(), socket);
+			
+			transport.on('push', function(data) { received.push(data); });
+			socket.emit('push', 1);
+			transport.send('query', {type: 'get-a'});
+			
+			assert.deepEqual(received, [1]);
+			assert.deepEqual(socket.queries, [{type: 'get-a'}]);
+			
+			socket.connected = false;
+			assert.strictEqual(transport.isConnected(), false);
+			transport.connect();
+			transport.disconnect();
+			assert.strictEqual(socket.connectAttempts, 1);
+			assert.ok(socket.closed);
+		});
+		
+		it('passes other transports through', function() {
+			var transport = LoopbackTransport.pair({autoConnect: false}).client;
+			
+			assert.strictEqual(transports.toTransport(transport), transport);
+		});
+	});
+	
+	describe('WebSocketTransport', function() {
+		var transport, events;
+		
+		beforeEach(function() {
+			FakeWebSocket.instances = [];
+			events = [];
+			transport = new WebSocketTransport('ws://example.invalid/', {WebSocket: FakeWebSocket, protocols: 'sotrade'});
+			
+			['connect', 'disconnect', 'connect_error', 'push', 'error'].forEach(function(evname) {
+				transport.on(evname, function(data) { events.push([evname, data]); });
+			});
+		});
+		
+		it('sends and receives JSON-encoded [evname, data] messages', function() {
+			var ws = FakeWebSocket.instances[0];
+			assert.strictEqual(ws.url, 'ws://example.invalid/');
+			assert.strictEqual(ws.protocols, 'sotrade');
+			assert.strictEqual(transport.isConnected(), false);
+			
+			ws.open();
+			assert.strictEqual(transport.isConnected(), true);
+			assert.strictEqual(transport.raw(), ws);
+			
+			transport.send('query', {type: 'get-a'});
+			ws.onmessage({data: JSON.stringify(['push', {type: 'x'}])});
+			ws.onmessage({data: '{'});
+			
+			assert.deepEqual(ws.sent, [['query', {type: 'get-a'}]]);
+			assert.deepEqual(events.slice(0, 2), [['connect', undefined], ['push', {type: 'x'}]]);
+			assert.strictEqual(events[2][0], 'error');
+		});
+		
+		it('reports failed connects and lost connections', function() {
+			var ws = FakeWebSocket.instances[0];
+			ws.onerror(new Error('refused'));
+			
+			transport.connect();
+			assert.strictEqual(FakeWebSocket.instances.length, 2);
+			assert.strictEqual(ws.onclose, null);
+			
+			FakeWebSocket.instances[1].open();
+			FakeWebSocket.instances[1].onerror(new Error('late'));
+			transport.disconnect();
+			
+			assert.deepEqual(events.map(function(ev) { return ev[0]; }), ['connect_error', 'connect', 'disconnect']);
+			assert.strictEqual(events[2][1], 'normal');
+		});
+		
+		it('connects lazily if asked to', function() {
+			FakeWebSocket.instances = [];
+			new WebSocketTransport('ws://example.invalid/', {WebSocket: FakeWebSocket, autoConnect: false});
+			
+			assert.strictEqual(FakeWebSocket.instances.length, 0);
+		});
+		
+		it('names the missing ws package if there is no WebSocket implementation', function() {
+			var installed = true;
+			try {
+				require.resolve('ws');
+			} catch (e) {
+				installed = false;
+			}
+			
+			if (installed)
+				this.skip();
+			
+			var descriptor = Object.getOwnPropertyDescriptor(global, 'WebSocket');
+			delete global.WebSocket;
+			
+			try {
+				assert.throws(function() {
+					new WebSocketTransport('ws://example.invalid/');
+				}, /install the ws package/);
+			} finally {
+				if (descriptor)
+					Object.defineProperty(global, 'WebSocket', descriptor);
+			}
+		});
+	});
+	
+	describe('LoopbackTransport', function() {
+		it('delivers events asynchronously to the other end', function() {
+			var pair = LoopbackTransport.pair();
+			var received = [];
+			
+			pair.server.on('connect', function() { received.push('server:connect'); });
+			pair.client.on('connect', function() { received.push('client:connect'); });
+			pair.server.on('query', function(data) { received.push(data); });
+			pair.client.on('disconnect', function(reason) { received.push('client:' + reason); });
+			pair.server.on('disconnect', function(reason) { received.push('server:' + reason); });
+			
+			assert.ok(pair.client.isConnected());
+			pair.client.send('query', 1);
+			pair.server.emit('push', 2);
+			assert.deepEqual(received, []);
+			
+			return wait(5).then(function() {
+				pair.client.disconnect();
+				pair.client.send('query', 3);
+				return wait(5);
+			}).then(function() {
+				assert.deepEqual(received, [
+					'server:connect', 'client:connect', 1,
+					'client:io client disconnect', 'server:transport close'
+				]);
+			});
+		});
+		
+		it('refuses connections unless the server end accepts them', function() {
+			var pair = LoopbackTransport.pair({autoConnect: false});
+			var errors = [];
+			
+			pair.client.on('connect_error', function(err) { errors.push(err.message); });
+			pair.server.accepting = false;
+			pair.client.connect();
+			
+			return wait(5).then(function() {
+				assert.deepEqual(errors, ['Connection refused']);
+				assert.ok(!pair.client.isConnected());
+			});
+		});
+	});
+	
+	it('can be passed to a connection directly', function() {
+		var pair = LoopbackTransport.pair();
+		var conn = new SoTradeConnection({transport: pair.client});
+		
+		pair.server.on('query', function(query) {
+			pair.server.emit('response', {e: 'raw', s: JSON.stringify({
+				type: query.type,
+				'is-reply-to': query.id,
+				code: 'ok'
+			})});
+		});
+		
+		assert.strictEqual(conn.raw(), pair.client);
+		
+		return conn.emit('get-a').then(function(response) {
+			assert.strictEqual(response.code, 'ok');
+			conn.close();
+		});
+	});
+});
@@ -0,0 +1,90 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var assert = require('assert');
+var api = require('../index.js');
+
+var FakeSoTradeServer = api.FakeSoTradeServer;
+var SoTradeConnection = api.SoTradeConnection;
+
+var wait = function(ms) {
+	return new Promise(function(resolve) { setTimeout(resolve, ms); });
+};
+
+describe('live queries', function() {
+	var server, conn, n;
+	
+	beforeEach(function() {
+		n = 0;
+		server = new FakeSoTradeServer({serverConfig: {}});
+		server.respond('get-depot', function() { return {code: 'ok', n: ++n}; });
+		conn = new SoTradeConnection({
+			transport: server.transport,
+			reconnectPolicy: function() { return 5; }
+		});
+	});
+	
+	afterEach(function() {
+		conn.close();
+	});
+	
+	it('polls and passes each result to subscribers', function() {
+		var results = [];
+		var live = conn.watch('get-depot', {}, {interval: 0.02});
+		live.subscribe(function(response) { results.push(response.n); });
+		
+		return wait(70).then(function() {
+			assert.ok(results.length >= 2);
+			assert.strictEqual(results[0], 1);
+			
+			var late = [];
+			live.subscribe(function(response) { late.push(response.n); });
+			assert.deepEqual(late, [results[results.length - 1]]);
+			
+			live.dispose();
+			var sent = server.queries.length;
+			return wait(50).then(function() {
+				assert.strictEqual(server.queries.length, sent);
+			});
+		});
+	});
+	
+	it('refreshes when a given push event arrives', function() {
+		var results = [];
+		var live = conn.watch('get-depot', {}, {refreshOn: 'trade'});
+		live.subscribe(function(response) { results.push(response.n); });
+		
+		return wait(20).then(function() {
+			server.push({type: 'trade'});
+			return wait(20);
+		}).then(function() {
+			assert.deepEqual(results, [1, 2]);
+			live.dispose();
+			assert.strictEqual(conn.listenerCount('trade'), 0);
+		});
+	});
+	
+	it('refreshes after reconnecting and ends with the signal', function() {
+		var results = [];
+		var controller = new AbortController();
+		var live = conn.watch('get-depot', {}, {signal: controller.signal});
+		live.subscribe(function(response) { results.push(response.n); });
+		
+		return wait(20).then(function() {
+			server.disconnect();
+			return wait(40);
+		}).then(function() {
+			assert.deepEqual(results, [1, 2]);
+			
+			controller.abort();
+			assert.ok(live.disposed);
+			live.refresh();
+			return wait(20);
+		}).then(function() {
+			assert.deepEqual(results, [1, 2]);
+		});
+	});
+});
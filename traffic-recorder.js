@@ -0,0 +1,330 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var TrafficRecorder;
+
+(function() {
+
+/**
+ * Provides {@link module:traffic-recorder~TrafficRecorder}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * @public
+ * @module traffic-recorder
+ */
+
+/* returns a JSON-compatible copy of a value, with binary data turned into arrays of bytes
+ * and the values of the given fields (at any depth) replaced by placeholder(value) */
+var sanitize = function(value, redact, placeholder) {
+	if (typeof Uint8Array != 'undefined') {
+		if (typeof ArrayBuffer != 'undefined' && value instanceof ArrayBuffer)
+			value = new Uint8Array(value);
+		
+		if (value instanceof Uint8Array)
+			return Array.prototype.slice.call(value);
+	}
+	
+	if (value === null || typeof value != 'object')
+		return value;
+	
+	if (Array.isArray(value)) {
+		return value.map(function(v) {
+			return sanitize(v, redact, placeholder);
+		});
+	}
+	
+	var copy = {};
+	for (var i in value) {
+		if (typeof value[i] == 'undefined' || typeof value[i] == 'function')
+			continue;
+		
+		copy[i] = redact.indexOf(i) != -1 ? placeholder(value[i]) : sanitize(value[i], redact, placeholder);
+	}
+	
+	return copy;
+};
+
+/* returns whether any of the given fields occurs in a value, at any depth */
+var containsField = function(value, fields) {
+	if (value === null || typeof value != 'object')
+		return false;
+	
+	for (var i in value) {
+		if ((!Array.isArray(value) && fields.indexOf(i) != -1) || containsField(value[i], fields))
+			return true;
+	}
+	
+	return false;
+};
+
+/* returns the encoding of an outgoing packet */
+var packetEncoding = function(packet) {
+	if (packet.e)
+		return packet.e;
+	
+	return packet.signedContent ? 'signed' : 'raw';
+};
+
+/**
+ * Records the traffic of a {@link module:sotrade-api~SoTradeConnection} for debugging,
+ * when passed to it as <code>recorder</code>. The recording can be exported as JSON lines
+ * (see {@link module:traffic-recorder~TrafficRecorder#toJSONLines}) and played back
+ * using a {@link module:transports~ReplayTransport}.
+ * 
+ * Each entry has a sequence number <code>seq</code>, a timestamp <code>time</code>
+ * (in milliseconds), a direction <code>dir</code> and an <code>event</code> name:
+ * <ul>
+ *   <li>Outgoing entries (<code>dir: 'out'</code>) correspond to a <code>query</code> or
+ *       <code>query-container</code> packet and list the <code>queries</code> before
+ *       signing and compression, along with their wire <code>encodings</code>.</li>
+ *   <li>Incoming entries (<code>dir: 'in'</code>) correspond to a <code>response</code>,
+ *       <code>push</code> or <code>push-container</code> envelope. They contain the
+ *       <code>envelope</code> (its encoding <code>e</code>, the server send time
+ *       <code>t</code> and the <code>size</code> of the payload) and either the
+ *       <code>decoded</code> message or the decoding <code>error</code>.</li>
+ *   <li>Connection entries (<code>dir: 'conn'</code>) record <code>connect</code> and
+ *       <code>disconnect</code> events (with a <code>reason</code>).</li>
+ * </ul>
+ * 
+ * @param {object} [opt]
+ * @param {string[]} [opt.redact]  Fields whose values are replaced by placeholders of the form
+ *             <code>'[redacted-n]'</code> wherever they occur, where equal values get the same
+ *             number, so that e.g. the keys of different sessions can be told apart.
+ *             Defaults to <code>['key', 'signedContent', 'pw', 'password']</code>.
+ * @param {int} [opt.maxEntries=10000]  Maximum number of entries; the oldest ones are discarded.
+ * @param {boolean} [opt.rawPayloads=false]  Whether to keep the payloads of incoming envelopes
+ *             as received, as <code>envelope.s</code>. Fields are redacted in uncompressed
+ *             payloads; compressed ones are discarded once decoding them shows that they
+ *             contain fields to be redacted.
+ * 
+ * @property {object[]} entries  The recorded entries.
+ * @property {int} dropped  Number of entries discarded because of <code>maxEntries</code>.
+ * 
+ * @public
+ * @constructor module:traffic-recorder~TrafficRecorder
+ */
+TrafficRecorder = function(opt) {
+	opt = opt || {};
+	
+	this.redact = opt.redact || ['key', 'signedContent', 'pw', 'password'];
+	this.maxEntries = opt.maxEntries || 10000;
+	this.rawPayloads = opt.rawPayloads || false;
+	
+	this.entries = [];
+	this.dropped = 0;
+	this.seq = 0;
+	this.placeholders = {}; // JSON-encoded redacted value -> number of its placeholder
+	this.placeholderCount = 0;
+};
+
+/**
+ * Returns the placeholder for a redacted value.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#placeholder
+ */
+TrafficRecorder.prototype.placeholder = function(value) {
+	var id = JSON.stringify(value);
+	
+	if (!this.placeholders.hasOwnProperty(id))
+		this.placeholders[id] = ++this.placeholderCount;
+	
+	return '[redacted-' + this.placeholders[id] + ']';
+};
+
+/**
+ * Returns a copy of the payload of an incoming envelope for recording, with the values
+ * of the fields in <code>this.redact</code> replaced if it is uncompressed.
+ * Payloads which cannot be parsed are copied as they are.
+ * 
+ * @param {string} encoding  The encoding of the payload, e.g. <code>'raw'</code>.
+ * @param {*} s  The payload.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#redactPayload
+ */
+TrafficRecorder.prototype.redactPayload = function(encoding, s) {
+	var self = this;
+	
+	if (encoding == 'raw' && typeof s == 'string') {
+		try {
+			return JSON.stringify(sanitize(JSON.parse(s), self.redact, self.placeholder.bind(self)));
+		} catch (e) {
+			return s;
+		}
+	}
+	
+	return sanitize(s, []);
+};
+
+/**
+ * Adds an entry, setting its <code>seq</code> and <code>time</code>.
+ * 
+ * @returns {object} The entry.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#record
+ */
+TrafficRecorder.prototype.record = function(entry) {
+	entry.seq = ++this.seq;
+	entry.time = new Date().getTime();
+	
+	this.entries.push(entry);
+	
+	if (this.entries.length > this.maxEntries) {
+		this.entries.shift();
+		this.dropped++;
+	}
+	
+	return entry;
+};
+
+/**
+ * Records an outgoing packet.
+ * 
+ * @param {string} evname  <code>'query'</code> or <code>'query-container'</code>.
+ * @param {object[]} queries  The queries in the packet, before signing and compression.
+ * @param {object[]} packets  The queries as sent over the wire.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#recordOutgoing
+ */
+TrafficRecorder.prototype.recordOutgoing = function(evname, queries, packets) {
+	return this.record({
+		dir: 'out',
+		event: evname,
+		queries: sanitize(queries, this.redact, this.placeholder.bind(this)),
+		encodings: packets.map(packetEncoding)
+	});
+};
+
+/**
+ * Records an incoming envelope. Its decoding result is added later via
+ * {@link module:traffic-recorder~TrafficRecorder#recordDecoded}.
+ * 
+ * @param {string} evname  <code>'response'</code>, <code>'push'</code> or <code>'push-container'</code>.
+ * @param {object} wdata  The envelope as received.
+ * 
+ * @returns {object} The entry.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#recordIncoming
+ */
+TrafficRecorder.prototype.recordIncoming = function(evname, wdata) {
+	var s = wdata.s;
+	var envelope = {
+		e: wdata.e,
+		t: wdata.t,
+		size: s ? (s.byteLength || s.length) : 0
+	};
+	
+	if (this.rawPayloads)
+		envelope.s = this.redactPayload(wdata.e, s);
+	
+	return this.record({
+		dir: 'in',
+		event: evname,
+		envelope: envelope
+	});
+};
+
+/**
+ * Adds the result of decoding an envelope to its entry.
+ * 
+ * @param {object} entry  The entry returned by
+ *             {@link module:traffic-recorder~TrafficRecorder#recordIncoming}.
+ * @param {?object} data  The decoded message.
+ * @param {Error} [err]  The error which occurred while decoding, if any.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#recordDecoded
+ */
+TrafficRecorder.prototype.recordDecoded = function(entry, data, err) {
+	if (err) {
+		entry.error = String(err.message || err);
+		return;
+	}
+	
+	entry.decoded = sanitize(data, this.redact, this.placeholder.bind(this));
+	
+	// compressed payloads cannot be redacted
+	var envelope = entry.envelope;
+	if (typeof envelope.s != 'undefined' && envelope.e != 'raw' && containsField(data, this.redact)) {
+		delete envelope.s;
+		envelope.redacted = true;
+	}
+};
+
+/**
+ * Records a <code>connect</code> or <code>disconnect</code> event.
+ * 
+ * @param {string} evname  The event name.
+ * @param {string} [reason]  The reason for a disconnect.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#recordConnection
+ */
+TrafficRecorder.prototype.recordConnection = function(evname, reason) {
+	var entry = {dir: 'conn', event: evname};
+	if (reason)
+		entry.reason = String(reason);
+	
+	return this.record(entry);
+};
+
+/**
+ * Returns the recording in the JSON lines format, i.e. one JSON-encoded entry per line.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#toJSONLines
+ */
+TrafficRecorder.prototype.toJSONLines = function() {
+	return this.entries.map(function(entry) {
+		return JSON.stringify(entry) + '\n';
+	}).join('');
+};
+
+/**
+ * Writes the recording to a file in the JSON lines format (Node.js only).
+ * 
+ * @param {string} path  The path of the file.
+ * @param {object} [fs]  An object providing the <code>fs.promises</code> API.
+ * 
+ * @returns {object} A promise which is fulfilled once the file has been written.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#writeFile
+ */
+TrafficRecorder.prototype.writeFile = function(path, fs) {
+	fs = fs || require('fs').promises;
+	
+	return fs.writeFile(path, this.toJSONLines(), 'utf8');
+};
+
+/**
+ * Discards all recorded entries.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder#clear
+ */
+TrafficRecorder.prototype.clear = function() {
+	this.entries = [];
+	this.dropped = 0;
+	this.placeholders = {};
+	this.placeholderCount = 0;
+};
+
+/**
+ * Parses a recording in the JSON lines format, ignoring empty lines.
+ * 
+ * @param {string} text  The recording.
+ * 
+ * @returns {object[]} The entries.
+ * 
+ * @function module:traffic-recorder~TrafficRecorder.parse
+ */
+TrafficRecorder.parse = function(text) {
+	return text.split('\n').filter(function(line) {
+		return line.trim() != '';
+	}).map(function(line) {
+		return JSON.parse(line);
+	});
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports)
+	exports.TrafficRecorder = TrafficRecorder;
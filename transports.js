@@ -0,0 +1,551 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+var SoTradeTransports;
+
+(function() {
+
+/**
+ * Provides transport adapters for {@link module:sotrade-api~SoTradeConnection}.
+ * This module can be directly included or <code>require()</code>'d.
+ * 
+ * A transport is an object with the following methods:
+ * <ul>
+ *   <li><code>on(evname, cb)</code> and <code>removeListener(evname, cb)</code>
+ *       for the events <code>'connect'</code>, <code>'disconnect'</code>,
+ *       <code>'connect_error'</code> and all events sent by the server
+ *       (e.g. <code>'response'</code>, <code>'push'</code> and <code>'push-container'</code>)</li>
+ *   <li><code>send(evname, data)</code> for sending events (e.g. <code>'query'</code>)
+ *       to the server</li>
+ *   <li><code>isConnected()</code>, returning whether the transport is currently connected</li>
+ *   <li><code>connect()</code>, (re-)establishing the connection after it was lost</li>
+ *   <li><code>disconnect()</code>, closing the connection</li>
+ *   <li><code>raw()</code>, returning the underlying connection object, if any</li>
+ * </ul>
+ * 
+ * @public
+ * @module transports
+ */
+
+/* minimal event emitter shared by the transports in this file */
+var TransportEmitter = function() {
+	this.listeners = {};
+};
+
+TransportEmitter.prototype.on = function(evname, cb) {
+	(this.listeners[evname] = this.listeners[evname] || []).push(cb);
+};
+
+TransportEmitter.prototype.removeListener = function(evname, cb) {
+	var listeners = this.listeners[evname] || [];
+	var index = listeners.indexOf(cb);
+	
+	if (index != -1)
+		listeners.splice(index, 1);
+};
+
+TransportEmitter.prototype.emitLocal = function(evname) {
+	var args = Array.prototype.slice.call(arguments, 1);
+	var listeners = (this.listeners[evname] || []).slice();
+	
+	for (var i = 0; i < listeners.length; ++i)
+		listeners[i].apply(this, args);
+};
+
+var inherit = function(Child, Parent) {
+	Child.prototype = Object.create(Parent.prototype);
+	Child.prototype.constructor = Child;
+};
+
+/**
+ * Transport adapter for a socket.io client socket.
+ * 
+ * @param {object} socket  A socket.io client socket.
+ * 
+ * @public
+ * @constructor module:transports~SocketIOTransport
+ */
+var SocketIOTransport = function(socket) {
+	this.socket = socket;
+};
+
+SocketIOTransport.prototype.on = function(evname, cb) {
+	this.socket.on(evname, cb);
+};
+
+SocketIOTransport.prototype.removeListener = function(evname, cb) {
+	this.socket.removeListener(evname, cb);
+};
+
+SocketIOTransport.prototype.send = function(evname, data) {
+	this.socket.emit(evname, data);
+};
+
+SocketIOTransport.prototype.isConnected = function() {
+	return this.socket.connected;
+};
+
+SocketIOTransport.prototype.connect = function() {
+	this.socket.connect(null, 'forceNew');
+};
+
+SocketIOTransport.prototype.disconnect = function() {
+	if (this.socket.disconnect)
+		this.socket.disconnect();
+};
+
+SocketIOTransport.prototype.raw = function() {
+	return this.socket;
+};
+
+/**
+ * Transport adapter for plain WebSockets, using either the browser’s
+ * <code>WebSocket</code> or the <a href="https://github.com/websockets/ws"><code>ws</code></a>
+ * module. The latter is an optional peer dependency, so it needs to be installed
+ * separately in environments without a global <code>WebSocket</code>
+ * (e.g. Node.js before version 22), unless <code>opt.WebSocket</code> is passed.
+ * 
+ * Each WebSocket message is a JSON-encoded array <code>[evname, data]</code>,
+ * in both directions.
+ * 
+ * @param {string} url  The WebSocket URL to connect to.
+ * @param {object} [opt]
+ * @param {function} [opt.WebSocket]  The WebSocket constructor to use.
+ * @param {string|string[]} [opt.protocols]  WebSocket sub-protocols.
+ * @param {boolean} [opt.autoConnect=true]  Whether to connect immediately.
+ * 
+ * @public
+ * @constructor module:transports~WebSocketTransport
+ */
+var WebSocketTransport = function(url, opt) {
+	TransportEmitter.call(this);
+	
+	opt = opt || {};
+	
+	this.url = url;
+	this.protocols = opt.protocols;
+	this.WebSocket = opt.WebSocket || WebSocketTransport.defaultWebSocket();
+	this.ws = null;
+	
+	if (opt.autoConnect !== false)
+		this.connect();
+};
+
+inherit(WebSocketTransport, TransportEmitter);
+
+/**
+ * Returns the browser’s <code>WebSocket</code> constructor if available,
+ * otherwise the one provided by the <code>ws</code> module.
+ * Throws an error if neither is available.
+ * 
+ * @function module:transports~WebSocketTransport.defaultWebSocket
+ */
+WebSocketTransport.defaultWebSocket = function() {
+	if (typeof WebSocket != 'undefined')
+		return WebSocket;
+	
+	if (typeof require == 'function') {
+		try {
+			return require('ws');
+		} catch (e) {
+			if (e.code != 'MODULE_NOT_FOUND')
+				throw e;
+		}
+	}
+	
+	throw new Error('No WebSocket implementation available; install the ws package or pass opt.WebSocket');
+};
+
+WebSocketTransport.prototype.connect = function() {
+	var self = this;
+	
+	if (self.ws) {
+		var old = self.ws;
+		old.onopen = old.onclose = old.onerror = old.onmessage = null;
+		old.close();
+	}
+	
+	var ws = self.ws = new self.WebSocket(self.url, self.protocols);
+	var opened = false;
+	
+	ws.onopen = function() {
+		opened = true;
+		self.emitLocal('connect');
+	};
+	
+	ws.onclose = function(ev) {
+		if (opened)
+			self.emitLocal('disconnect', (ev && ev.reason) || 'transport close');
+	};
+	
+	ws.onerror = function(err) {
+		if (!opened)
+			self.emitLocal('connect_error', err);
+	};
+	
+	ws.onmessage = function(ev) {
+		var msg;
+		
+		try {
+			msg = JSON.parse(ev.data);
+		} catch (e) {
+			return self.emitLocal('error', e);
+		}
+		
+		self.emitLocal(msg[0], msg[1]);
+	};
+};
+
+WebSocketTransport.prototype.send = function(evname, data) {
+	this.ws.send(JSON.stringify([evname, data], function(key, value) {
+		// binary data (e.g. compressed queries) is sent as an array of bytes
+		if (typeof Uint8Array != 'undefined' && value instanceof Uint8Array)
+			return Array.prototype.slice.call(value);
+		
+		return value;
+	}));
+};
+
+WebSocketTransport.prototype.isConnected = function() {
+	return !!this.ws && this.ws.readyState === 1; // OPEN
+};
+
+WebSocketTransport.prototype.disconnect = function() {
+	if (this.ws)
+		this.ws.close();
+};
+
+WebSocketTransport.prototype.raw = function() {
+	return this.ws;
+};
+
+/**
+ * One end of an in-process connection, as created by
+ * {@link module:transports~LoopbackTransport.pair}.
+ * Events sent on one end are delivered asynchronously to the listeners of the other end.
+ * 
+ * The server end additionally provides <code>emit(evname, data)</code> as an alias
+ * for <code>send()</code>, mirroring the socket.io server API.
+ * 
+ * @property {?module:transports~LoopbackTransport} peer  The other end of the connection.
+ * @property {boolean} accepting  Only meaningful for the server end: Whether
+ *             <code>connect()</code> calls from the client end succeed.
+ * 
+ * @public
+ * @constructor module:transports~LoopbackTransport
+ */
+var LoopbackTransport = function() {
+	TransportEmitter.call(this);
+	
+	this.peer = null;
+	this.connected = false;
+	this.accepting = true;
+};
+
+inherit(LoopbackTransport, TransportEmitter);
+
+/**
+ * Creates two connected loopback transports.
+ * 
+ * @param {object} [opt]
+ * @param {boolean} [opt.autoConnect=true]  Whether to connect immediately (asynchronously).
+ * 
+ * @returns {object} An object with <code>client</code> and <code>server</code> properties.
+ * 
+ * @function module:transports~LoopbackTransport.pair
+ */
+LoopbackTransport.pair = function(opt) {
+	opt = opt || {};
+	
+	var client = new LoopbackTransport();
+	var server = new LoopbackTransport();
+	client.peer = server;
+	server.peer = client;
+	
+	if (opt.autoConnect !== false)
+		client.connect();
+	
+	return {client: client, server: server};
+};
+
+LoopbackTransport.prototype.deliver = function(evname, args) {
+	var self = this;
+	
+	setTimeout(function() {
+		self.emitLocal.apply(self, [evname].concat(args));
+	}, 0);
+};
+
+LoopbackTransport.prototype.send = function(evname, data) {
+	if (!this.connected)
+		return;
+	
+	this.peer.deliver(evname, [data]);
+};
+
+LoopbackTransport.prototype.emit = LoopbackTransport.prototype.send;
+
+LoopbackTransport.prototype.isConnected = function() {
+	return this.connected;
+};
+
+LoopbackTransport.prototype.connect = function() {
+	var server = this.peer;
+	
+	if (this.connected)
+		return;
+	
+	if (!server.accepting)
+		return this.deliver('connect_error', [new Error('Connection refused')]);
+	
+	this.connected = server.connected = true;
+	server.deliver('connect', []);
+	this.deliver('connect', []);
+};
+
+LoopbackTransport.prototype.disconnect = function(reason) {
+	if (!this.connected)
+		return;
+	
+	this.connected = this.peer.connected = false;
+	this.deliver('disconnect', [reason || 'io client disconnect']);
+	this.peer.deliver('disconnect', [reason || 'transport close']);
+};
+
+LoopbackTransport.prototype.raw = function() {
+	return this;
+};
+
+/* replaces the placeholders for redacted values in a recorded message (see
+ * TrafficRecorder) by usable ones which are the same for equal recorded values,
+ * e.g. 'replay-key-1' for the first session key */
+var substitutePlaceholders = function(value, field) {
+	if (typeof value == 'string') {
+		var match = value.match(/^\[redacted(?:-(\d+))?\]$/);
+		return match ? 'replay-' + field + (match[1] ? '-' + match[1] : '') : value;
+	}
+	
+	if (value === null || typeof value != 'object')
+		return value;
+	
+	if (Array.isArray(value)) {
+		return value.map(function(v) {
+			return substitutePlaceholders(v, field);
+		});
+	}
+	
+	var copy = {};
+	for (var i in value)
+		copy[i] = substitutePlaceholders(value[i], i);
+	
+	return copy;
+};
+
+/**
+ * A transport which plays back a recording made by a
+ * {@link module:traffic-recorder~TrafficRecorder}, so that the behaviour of a client
+ * can be reproduced offline:
+ * 
+ * <pre>
+ * var conn = new SoTradeConnection({
+ *   transport: new ReplayTransport(TrafficRecorder.parse(text))
+ * });
+ * </pre>
+ * 
+ * The recording is played back in lockstep with the client: Incoming messages are
+ * delivered in their recorded order, each one once the client has sent as many queries
+ * as had been sent before it was received. Query IDs in responses are replaced by the
+ * IDs of the queries the client sent at the same positions (unless these were signed or
+ * compressed). Recorded disconnects and reconnects are reproduced as well.
+ * 
+ * Messages are delivered in <code>raw</code> encoding as decoded at the time of recording,
+ * unless the recording contains the original payloads. Messages which could not be decoded
+ * at that time are skipped otherwise. Redacted values are replaced by placeholders which
+ * are unique per value and named after their field (e.g. <code>'replay-key-1'</code>), so
+ * that a client which sends a redacted key back does so consistently.
+ * 
+ * An <code>'end'</code> event is emitted once the end of the recording has been reached.
+ * 
+ * @param {object[]} entries  The recorded entries.
+ * 
+ * @property {Array[]} sent  All <code>[evname, data]</code> pairs sent by the client.
+ * @property {object[]} mismatches  Queries sent by the client whose type differs from the
+ *             recorded one, as <code>{index, expected, actual}</code>.
+ * @property {boolean} done  Whether the end of the recording has been reached.
+ * 
+ * @public
+ * @constructor module:transports~ReplayTransport
+ */
+var ReplayTransport = function(entries) {
+	TransportEmitter.call(this);
+	
+	this.entries = entries;
+	this.position = 0; // index of the next entry to be played back
+	this.recordedQueries = []; // all recorded outgoing queries, in order
+	this.recordedCount = 0; // number of recorded queries sent before the current position
+	this.sentCount = 0;
+	this.idMap = {}; // recorded query ID -> ID of the corresponding query sent by the client
+	this.sent = [];
+	this.mismatches = [];
+	this.connected = false;
+	this.done = false;
+	
+	for (var i = 0; i < entries.length; ++i)
+		if (entries[i].dir == 'out')
+			this.recordedQueries = this.recordedQueries.concat(entries[i].queries);
+	
+	this.connect();
+};
+
+inherit(ReplayTransport, TransportEmitter);
+
+ReplayTransport.prototype.deliver = LoopbackTransport.prototype.deliver;
+
+/**
+ * Plays back entries until the client needs to send further queries
+ * or the end of the recording has been reached.
+ * 
+ * @function module:transports~ReplayTransport#advance
+ */
+ReplayTransport.prototype.advance = function() {
+	while (this.connected && this.position < this.entries.length) {
+		var entry = this.entries[this.position];
+		
+		if (entry.dir == 'out') {
+			if (this.sentCount < this.recordedCount + entry.queries.length)
+				return; // wait for the client
+			
+			this.recordedCount += entry.queries.length;
+		} else if (entry.dir == 'in') {
+			this.replayMessage(entry);
+		} else if (entry.event == 'disconnect') {
+			this.position++;
+			return this.disconnect(entry.reason);
+		}
+		
+		this.position++;
+	}
+	
+	if (this.position == this.entries.length && !this.done) {
+		this.done = true;
+		this.deliver('end', []);
+	}
+};
+
+/**
+ * Delivers a recorded incoming message.
+ * 
+ * @function module:transports~ReplayTransport#replayMessage
+ */
+ReplayTransport.prototype.replayMessage = function(entry) {
+	var envelope = entry.envelope;
+	var s = envelope.s;
+	
+	if (typeof s != 'undefined') {
+		if (envelope.e == 'raw' && entry.decoded)
+			s = JSON.stringify(substitutePlaceholders(JSON.parse(s)));
+		
+		return this.deliver(entry.event, [{e: envelope.e, s: s, t: envelope.t}]);
+	}
+	
+	if (!entry.decoded)
+		return;
+	
+	var msg = substitutePlaceholders(entry.decoded);
+	
+	var replyTo = msg['is-reply-to'];
+	if (replyTo && this.idMap[replyTo])
+		msg['is-reply-to'] = this.idMap[replyTo];
+	
+	this.deliver(entry.event, [{e: 'raw', s: JSON.stringify(msg), t: envelope.t}]);
+};
+
+ReplayTransport.prototype.send = function(evname, data) {
+	if (!this.connected)
+		return;
+	
+	this.sent.push([evname, data]);
+	
+	var packets = evname == 'query-container' ? data.queries : [data];
+	for (var i = 0; i < packets.length; ++i) {
+		var index = this.sentCount++;
+		var recorded = this.recordedQueries[index];
+		
+		if (!recorded || !packets[i].id) // signed or compressed
+			continue;
+		
+		this.idMap[recorded.id] = packets[i].id;
+		
+		if (recorded.type != packets[i].type)
+			this.mismatches.push({index: index, expected: recorded.type, actual: packets[i].type});
+	}
+	
+	this.advance();
+};
+
+ReplayTransport.prototype.isConnected = function() {
+	return this.connected;
+};
+
+ReplayTransport.prototype.connect = function() {
+	if (this.connected)
+		return;
+	
+	this.connected = true;
+	this.deliver('connect', []);
+	
+	// the connect entry at the current position, if any, has been reproduced by this
+	var entry = this.entries[this.position];
+	if (entry && entry.dir == 'conn' && entry.event == 'connect')
+		this.position++;
+	
+	this.advance();
+};
+
+ReplayTransport.prototype.disconnect = function(reason) {
+	if (!this.connected)
+		return;
+	
+	this.connected = false;
+	this.deliver('disconnect', [reason || 'io client disconnect']);
+};
+
+ReplayTransport.prototype.raw = function() {
+	return this;
+};
+
+/**
+ * Returns <code>conn</code> if it already implements the transport interface,
+ * otherwise wraps it (assuming it is a socket.io client socket) in a
+ * {@link module:transports~SocketIOTransport}.
+ * 
+ * @function module:transports.toTransport
+ */
+var toTransport = function(conn) {
+	if (conn && typeof conn.isConnected == 'function' && typeof conn.send == 'function')
+		return conn;
+	
+	return new SocketIOTransport(conn);
+};
+
+SoTradeTransports = {
+	SocketIOTransport: SocketIOTransport,
+	WebSocketTransport: WebSocketTransport,
+	LoopbackTransport: LoopbackTransport,
+	ReplayTransport: ReplayTransport,
+	toTransport: toTransport
+};
+
+})();
+
+if (typeof exports != 'undefined' && exports) {
+	exports.SoTradeTransports = SoTradeTransports;
+	exports.SocketIOTransport = SoTradeTransports.SocketIOTransport;
+	exports.WebSocketTransport = SoTradeTransports.WebSocketTransport;
+	exports.LoopbackTransport = SoTradeTransports.LoopbackTransport;
+	exports.ReplayTransport = SoTradeTransports.ReplayTransport;
+	exports.toTransport = SoTradeTransports.toTransport;
+}